@@ -5,7 +5,8 @@ if (!process.env.DATABASE_URL) {
 }
 
 export default defineConfig({
-    out: "./migrations",
+    // Scratch output of `npm run db:generate`; copy the statements into a numbered file in migrations/
+    out: "./drizzle",
     schema: "./shared/schema.js",
     dialect: "postgresql",
     dbCredentials: {
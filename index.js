@@ -2,19 +2,20 @@ import express from "express";
 import { registerRoutes } from "./src/routes.js";
 import { fileURLToPath } from 'url';
 import { initStorage } from "./src/storage.js";
-
-export function log(message, source = "express") {
-
-    const formattedTime = new Date().toLocaleTimeString("en-US", {
-        hour: "numeric",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: true,
-    });
-    console.log(`${formattedTime} [${source}] ${message}`);
-}
+import { startOutboxWorker } from "./src/notifications.js";
+import { logger, requestLogger } from "./src/logger.js";
+import { httpMetrics } from "./src/metrics.js";
+import { onShutdown, shutdown } from "./src/health.js";
+import { config } from "./src/config.js";
 
 const app = express();
+// Behind a proxy (e.g. Vercel) req.ip must come from X-Forwarded-For for per-IP rate limits
+if (config.trustProxy !== undefined) {
+    app.set("trust proxy", config.trustProxy);
+}
+// First, so every response carries X-Request-Id and every log line can be traced back to its request
+app.use(requestLogger());
+app.use(httpMetrics());
 app.use(express.json({
     verify: (req, _res, buf) => {
         req.rawBody = buf;
@@ -23,40 +24,19 @@ app.use(express.json({
 app.use(express.urlencoded({ extended: false }));
 // Local uploads are disabled for Cloudinary/Vercel
 
-app.use((req, res, next) => {
-    const start = Date.now();
-    const path = req.path;
-    let capturedJsonResponse = undefined;
-    const originalResJson = res.json;
-    res.json = function (bodyJson) {
-        capturedJsonResponse = bodyJson;
-        return originalResJson.call(res, bodyJson);
-    };
-    res.on("finish", () => {
-        const duration = Date.now() - start;
-        if (path.startsWith("/api")) {
-            let logLine = `${req.method} ${path} ${res.statusCode} in ${duration}ms`;
-            if (capturedJsonResponse) {
-                logLine += ` :: ${JSON.stringify(capturedJsonResponse)}`;
-            }
-            if (logLine.length > 80) {
-                logLine = logLine.slice(0, 79) + "…";
-            }
-            log(logLine);
-        }
-    });
-    next();
-});
 // Initialize storage and seed data
 initStorage().catch(err => {
-    log(`Storage initialization failed: ${err.message}`, "error");
+    logger.error("Storage initialization failed", { err });
 });
 
-// Register routes
-registerRoutes(app);
+// Register routes; the returned server also carries the /ws WebSocket endpoint
+const server = await registerRoutes(app);
 
 app.use((err, _req, res, _next) => {
     const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        logger.error("Unhandled error", { err });
+    }
     const message = err.message || "Internal Server Error";
     res.status(status).json({ message });
 });
@@ -64,11 +44,26 @@ app.use((err, _req, res, _next) => {
 // Check if this file is the entry point
 const isMain = process.argv[1] && (fileURLToPath(import.meta.url) === process.argv[1]);
 
-if (isMain || process.env.NODE_ENV === "development") {
-    const port = parseInt(process.env.PORT || '5001', 10);
-    app.listen(port, () => {
-        log(`API serving on port ${port}`);
+if (isMain || config.env === "development") {
+    const port = config.port;
+    server.listen(port, () => {
+        logger.info("API serving", { port });
     });
+    // Retry undelivered emails in the background; serverless deployments rely on delivery at send time
+    const outboxWorker = startOutboxWorker();
+    onShutdown(() => clearInterval(outboxWorker));
+
+    // Finish open requests before exiting; readiness fails meanwhile so no new traffic is sent here
+    const timeoutMs = config.shutdownTimeoutMs;
+    for (const signal of ["SIGTERM", "SIGINT"]) {
+        process.once(signal, () => {
+            logger.info("Received shutdown signal", { signal });
+            shutdown(server, { timeoutMs }).then(() => process.exit(0), (err) => {
+                logger.error("Shutdown failed", { err });
+                process.exit(1);
+            });
+        });
+    }
 }
 
 // Export the app for Vercel serverless functions
@@ -0,0 +1,3 @@
+-- The baseline creates the original tables that hold every user and application, so rolling it back
+-- would delete all data. migrate down stops here instead.
+-- irreversible
@@ -0,0 +1,42 @@
+-- Tables as they existed before versioned migrations. IF NOT EXISTS lets databases created with
+-- drizzle-kit push or add_payment_method_col.cjs adopt the migration history unchanged.
+CREATE TABLE IF NOT EXISTS "users" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"email" text NOT NULL,
+	"password" text NOT NULL,
+	"full_name" text NOT NULL,
+	"phone_number" text,
+	"role" text DEFAULT 'user' NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "users_email_unique" UNIQUE("email")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "grant_applications" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" varchar NOT NULL,
+	"full_name" text NOT NULL,
+	"email" text NOT NULL,
+	"phone_number" text NOT NULL,
+	"address" text NOT NULL,
+	"project_title" text NOT NULL,
+	"project_description" text NOT NULL,
+	"grant_type" text NOT NULL,
+	"requested_amount" integer NOT NULL,
+	"file_url" text,
+	"file_name" text,
+	"status" text DEFAULT 'pending' NOT NULL,
+	"admin_notes" text,
+	"disbursement_amount" integer,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ADD COLUMN IF NOT EXISTS "payment_method" text;
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "chat_messages" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" varchar NOT NULL,
+	"sender_role" text NOT NULL,
+	"message" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
@@ -0,0 +1,42 @@
+DROP TABLE IF EXISTS "bank_account_access_log";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "bank_accounts";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "disbursements";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "notification_outbox";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "notifications";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "application_documents";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "application_reviews";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "rubric_criteria";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "application_status_history";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "grant_programs";
+--> statement-breakpoint
+ALTER TABLE "chat_messages" DROP COLUMN IF EXISTS "sender_id";
+--> statement-breakpoint
+-- Drafts cannot be represented without the nullable columns
+DELETE FROM "grant_applications" WHERE "status" = 'draft';
+--> statement-breakpoint
+ALTER TABLE "grant_applications" DROP COLUMN IF EXISTS "submitted_at";
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "full_name" SET NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "email" SET NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "phone_number" SET NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "address" SET NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "project_title" SET NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "project_description" SET NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "grant_type" SET NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "requested_amount" SET NOT NULL;
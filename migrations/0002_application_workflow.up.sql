@@ -0,0 +1,152 @@
+-- Grant programs, drafts, status history, reviews, documents, notifications and disbursements
+ALTER TABLE "grant_applications" ALTER COLUMN "full_name" DROP NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "email" DROP NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "phone_number" DROP NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "address" DROP NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "project_title" DROP NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "project_description" DROP NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "grant_type" DROP NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ALTER COLUMN "requested_amount" DROP NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "grant_applications" ADD COLUMN IF NOT EXISTS "submitted_at" timestamp;
+--> statement-breakpoint
+-- Everything that existed before drafts had been submitted when it was created
+UPDATE "grant_applications" SET "submitted_at" = "created_at" WHERE "submitted_at" IS NULL AND "status" <> 'draft';
+--> statement-breakpoint
+ALTER TABLE "chat_messages" ADD COLUMN IF NOT EXISTS "sender_id" varchar;
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "grant_programs" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"slug" text NOT NULL,
+	"name" text NOT NULL,
+	"description" text,
+	"icon" text,
+	"min_amount" integer NOT NULL,
+	"max_amount" integer NOT NULL,
+	"opens_at" timestamp,
+	"closes_at" timestamp,
+	"status" text DEFAULT 'active' NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "grant_programs_slug_unique" UNIQUE("slug")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "application_status_history" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"application_id" varchar NOT NULL,
+	"from_status" text,
+	"to_status" text NOT NULL,
+	"changed_by" varchar,
+	"note" text,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "rubric_criteria" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"grant_type" text NOT NULL,
+	"name" text NOT NULL,
+	"description" text,
+	"weight" integer NOT NULL,
+	"max_score" integer NOT NULL,
+	"position" integer DEFAULT 0 NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "application_reviews" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"application_id" varchar NOT NULL,
+	"reviewer_id" varchar NOT NULL,
+	"assigned_by" varchar NOT NULL,
+	"scores" jsonb,
+	"weighted_score" real,
+	"comment" text,
+	"submitted_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "application_reviews_application_reviewer_unique" UNIQUE("application_id","reviewer_id")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "application_documents" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"application_id" varchar NOT NULL,
+	"uploaded_by" varchar NOT NULL,
+	"file_name" text NOT NULL,
+	"mime_type" text NOT NULL,
+	"size" integer NOT NULL,
+	"storage_driver" text NOT NULL,
+	"storage_key" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "notifications" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" varchar NOT NULL,
+	"type" text NOT NULL,
+	"title" text NOT NULL,
+	"body" text NOT NULL,
+	"data" jsonb,
+	"read_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "notification_outbox" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" varchar,
+	"template" text NOT NULL,
+	"recipient" text NOT NULL,
+	"subject" text NOT NULL,
+	"body" text NOT NULL,
+	"status" text DEFAULT 'pending' NOT NULL,
+	"attempts" integer DEFAULT 0 NOT NULL,
+	"last_error" text,
+	"next_attempt_at" timestamp DEFAULT now() NOT NULL,
+	"sent_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "disbursements" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"application_id" varchar NOT NULL,
+	"amount" integer NOT NULL,
+	"due_date" timestamp NOT NULL,
+	"status" text DEFAULT 'scheduled' NOT NULL,
+	"method" text NOT NULL,
+	"cheque_number" text,
+	"transfer_reference" text,
+	"notes" text,
+	"recorded_by" varchar NOT NULL,
+	"updated_by" varchar,
+	"sent_at" timestamp,
+	"cleared_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "bank_accounts" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"application_id" varchar NOT NULL,
+	"user_id" varchar NOT NULL,
+	"account_holder_encrypted" text NOT NULL,
+	"bank_name_encrypted" text NOT NULL,
+	"account_number_encrypted" text NOT NULL,
+	"routing_code_encrypted" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "bank_accounts_application_id_unique" UNIQUE("application_id")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "bank_account_access_log" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"bank_account_id" varchar NOT NULL,
+	"application_id" varchar NOT NULL,
+	"accessed_by" varchar NOT NULL,
+	"reason" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
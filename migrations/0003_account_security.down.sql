@@ -0,0 +1,25 @@
+DROP TABLE IF EXISTS "recovery_codes";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "rate_limit_buckets";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "user_tokens";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "refresh_tokens";
+--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN IF EXISTS "totp_last_counter";
+--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN IF EXISTS "totp_enabled_at";
+--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN IF EXISTS "totp_secret_encrypted";
+--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN IF EXISTS "locked_until";
+--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN IF EXISTS "last_failed_login_at";
+--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN IF EXISTS "failed_login_attempts";
+--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN IF EXISTS "deactivated_at";
+--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN IF EXISTS "token_version";
+--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN IF EXISTS "email_verified";
@@ -1,5 +1,5 @@
 import { sql } from "drizzle-orm";
-import { pgTable, text, varchar, timestamp, integer } from "drizzle-orm/pg-core";
+import { pgTable, text, varchar, timestamp, integer, real, jsonb, unique, boolean } from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
 // Users table
@@ -9,41 +9,179 @@ export const users = pgTable("users", {
     password: text("password").notNull(),
     fullName: text("full_name").notNull(),
     phoneNumber: text("phone_number"),
-    role: text("role").notNull().default("user"), // "user" or "admin"
+    role: text("role").notNull().default("user"), // One of userRoles
+    emailVerified: boolean("email_verified").notNull().default(false), // Required before submitting applications
+    tokenVersion: integer("token_version").notNull().default(0), // Bumped to revoke every issued access token
+    deactivatedAt: timestamp("deactivated_at"), // Set while the account is blocked from signing in
+    failedLoginAttempts: integer("failed_login_attempts").notNull().default(0),
+    lastFailedLoginAt: timestamp("last_failed_login_at"),
+    lockedUntil: timestamp("locked_until"), // Login is refused until this time after repeated failures
+    totpSecretEncrypted: text("totp_secret_encrypted"), // Set on enrollment, before the first code is confirmed
+    totpEnabledAt: timestamp("totp_enabled_at"),
+    totpLastCounter: integer("totp_last_counter"), // Time step of the last accepted code, blocks replays
     createdAt: timestamp("created_at").notNull().defaultNow(),
 });
 // @ts-ignore - Schema type issue with drizzle-zod
 export const insertUserSchema = createInsertSchema(users).omit({
     id: true,
+    tokenVersion: true,
+    deactivatedAt: true,
+    failedLoginAttempts: true,
+    lastFailedLoginAt: true,
+    lockedUntil: true,
+    totpSecretEncrypted: true,
+    totpEnabledAt: true,
+    totpLastCounter: true,
     createdAt: true,
 });
 // Public registration schema - omits role for security
 // @ts-ignore - Schema type issue with drizzle-zod
 export const registerUserSchema = insertUserSchema.omit({
     role: true,
+    emailVerified: true,
+});
+// Named permissions checked by requirePermission()
+export const permissions = [
+    "applications.read", // List, export and open any application
+    "applications.decide", // Change application status and manage applicants' documents
+    "applications.import",
+    "programs.manage", // Grant programs and rubrics
+    "reviews.assign",
+    "reviews.read", // See every review and the score summary
+    "reviews.submit", // Can be assigned as a reviewer
+    "disbursements.read",
+    "disbursements.write",
+    "bank_accounts.reveal",
+    "stats.read",
+    "chat.respond", // Answer applicants in the support chat
+    "users.read",
+    "users.manage",
+];
+export const rolePermissions = {
+    user: [],
+    super_admin: permissions,
+    // Accounts created before granular roles; same powers as super_admin
+    admin: permissions,
+    program_officer: [
+        "applications.read", "applications.decide", "applications.import", "programs.manage", "reviews.assign",
+        "reviews.read", "reviews.submit", "disbursements.read", "stats.read", "chat.respond", "users.read",
+    ],
+    reviewer: ["reviews.submit"],
+    finance: ["applications.read", "disbursements.read", "disbursements.write", "bank_accounts.reveal", "stats.read"],
+};
+export const userRoles = Object.keys(rolePermissions);
+export function hasPermission(role, permission) {
+    return (rolePermissions[role] || []).includes(permission);
+}
+export const updateUserRoleSchema = z.object({
+    role: z.enum(userRoles),
+});
+// Staff accounts are created without a password; the new user sets one from the invite email
+export const createStaffUserSchema = z.object({
+    email: z.string().email(),
+    fullName: z.string().min(1),
+    phoneNumber: z.string().optional(),
+    role: z.enum(userRoles),
 });
 export const loginSchema = z.object({
     email: z.string().email(),
     password: z.string().min(6),
 });
+export const refreshTokenSchema = z.object({
+    refreshToken: z.string().min(1),
+});
+export const updateProfileSchema = z.object({
+    fullName: z.string().trim().min(1).optional(),
+    phoneNumber: z.string().trim().nullable().optional(),
+});
+export const changePasswordSchema = z.object({
+    currentPassword: z.string().min(1),
+    newPassword: z.string().min(6),
+});
+export const totpCodeSchema = z.object({
+    code: z.string().trim().regex(/^\d{6}$/, "Code must be 6 digits"),
+});
+// Completes a login challenge with either an authenticator code or a recovery code
+export const twoFactorVerifySchema = z.object({
+    challengeToken: z.string().min(1),
+    code: z.string().trim().optional(),
+    recoveryCode: z.string().trim().optional(),
+}).refine((data) => Boolean(data.code) !== Boolean(data.recoveryCode), {
+    message: "Provide either code or recoveryCode",
+});
+export const disableTwoFactorSchema = z.object({
+    password: z.string().min(1),
+    code: z.string().trim().regex(/^\d{6}$/, "Code must be 6 digits"),
+});
+export const forgotPasswordSchema = z.object({
+    email: z.string().email(),
+});
+export const resetPasswordSchema = z.object({
+    token: z.string().min(1),
+    password: z.string().min(6),
+});
+export const verifyEmailSchema = z.object({
+    token: z.string().min(1),
+});
+// User Tokens table
+// Single-use tokens sent by email; only a SHA-256 hash is stored
+export const userTokens = pgTable("user_tokens", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    userId: varchar("user_id").notNull(),
+    purpose: text("purpose").notNull(), // "password_reset" or "email_verification"
+    tokenHash: text("token_hash").notNull().unique(),
+    expiresAt: timestamp("expires_at").notNull(),
+    usedAt: timestamp("used_at"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+});
+// Recovery Codes table
+// One-time codes for signing in without the authenticator; only SHA-256 hashes are stored
+export const recoveryCodes = pgTable("recovery_codes", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    userId: varchar("user_id").notNull(),
+    codeHash: text("code_hash").notNull(),
+    usedAt: timestamp("used_at"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+});
+// Rate Limit Buckets table
+// Hit counters for the Postgres rate limiter store, shared by every server instance
+export const rateLimitBuckets = pgTable("rate_limit_buckets", {
+    key: text("key").primaryKey(),
+    hits: integer("hits").notNull().default(0),
+    resetAt: timestamp("reset_at").notNull(),
+});
+// Refresh Tokens table
+// Only a SHA-256 hash of each token is stored; rotated tokens keep their row, marked revoked
+export const refreshTokens = pgTable("refresh_tokens", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    userId: varchar("user_id").notNull(),
+    tokenHash: text("token_hash").notNull().unique(),
+    familyId: varchar("family_id").notNull(), // Shared by every token rotated from the same login
+    expiresAt: timestamp("expires_at").notNull(),
+    revokedAt: timestamp("revoked_at"),
+    replacedBy: varchar("replaced_by"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+});
 // Grant Applications table
 export const grantApplications = pgTable("grant_applications", {
     id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
     userId: varchar("user_id").notNull(),
-    fullName: text("full_name").notNull(),
-    email: text("email").notNull(),
-    phoneNumber: text("phone_number").notNull(),
-    address: text("address").notNull(),
-    projectTitle: text("project_title").notNull(),
-    projectDescription: text("project_description").notNull(),
-    grantType: text("grant_type").notNull(), // "education", "business", "community", "research"
-    requestedAmount: integer("requested_amount").notNull(),
-    fileUrl: text("file_url"), // URL of uploaded proposal/budget file
+    // Applicant and project fields may only be null while the application is a draft
+    fullName: text("full_name"),
+    email: text("email"),
+    phoneNumber: text("phone_number"),
+    address: text("address"),
+    projectTitle: text("project_title"),
+    projectDescription: text("project_description"),
+    grantType: text("grant_type"), // Slug of a grant_programs row, e.g. "education"
+    requestedAmount: integer("requested_amount"),
+    fileUrl: text("file_url"), // Legacy single file, new uploads go to application_documents
     fileName: text("file_name"),
-    status: text("status").notNull().default("pending"), // "pending", "under_review", "approved", "rejected"
+    status: text("status").notNull().default("pending"), // "draft", "pending", "under_review", "approved", "rejected"
     adminNotes: text("admin_notes"),
     disbursementAmount: integer("disbursement_amount"),
     paymentMethod: text("payment_method"), // "cheque" or "bank_transfer"
+    submittedAt: timestamp("submitted_at"), // null while the application is a draft
     createdAt: timestamp("created_at").notNull().defaultNow(),
     updatedAt: timestamp("updated_at").notNull().defaultNow(),
 });
@@ -57,22 +195,152 @@ export const insertGrantApplicationSchema = z.object({
     projectTitle: z.string(),
     projectDescription: z.string(),
     grantType: z.string(),
-    requestedAmount: z.number(),
+    requestedAmount: z.number().int().positive(),
     paymentMethod: z.string().nullable().optional(),
     fileUrl: z.string().nullable().optional(),
     fileName: z.string().nullable().optional(),
 });
+// Drafts accept any subset of the fields; the full schema is applied when the draft is submitted
+export const draftGrantApplicationSchema = insertGrantApplicationSchema.omit({
+    userId: true,
+    fileUrl: true,
+    fileName: true,
+}).partial();
 
+export const applicationStatuses = ["draft", "pending", "under_review", "approved", "rejected"];
+// Query string accepted by the admin application list; status may be a comma-separated list
+export const applicationSortFields = ["createdAt", "updatedAt", "requestedAmount", "projectTitle", "status"];
+export const applicationListQuerySchema = z.object({
+    status: z.string()
+        .transform((value) => value.split(",").map((status) => status.trim()).filter(Boolean))
+        .pipe(z.array(z.enum(applicationStatuses)))
+        .optional(),
+    grantType: z.string().optional(),
+    minAmount: z.coerce.number().int().nonnegative().optional(),
+    maxAmount: z.coerce.number().int().nonnegative().optional(),
+    createdFrom: z.coerce.date().optional(),
+    createdTo: z.coerce.date().optional(),
+    updatedFrom: z.coerce.date().optional(),
+    updatedTo: z.coerce.date().optional(),
+    email: z.string().optional(),
+    q: z.string().trim().min(1).optional(),
+    sort: z.enum(applicationSortFields).default("createdAt"),
+    order: z.enum(["asc", "desc"]).default("desc"),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    offset: z.coerce.number().int().min(0).default(0),
+});
+// Allowed status changes; approved and rejected are final decisions.
+// draft -> pending only happens when the applicant submits, never through the admin status route.
+export const applicationStatusTransitions = {
+    draft: ["pending"],
+    pending: ["under_review", "rejected"],
+    under_review: ["approved", "rejected"],
+    approved: [],
+    rejected: [],
+};
+export function canTransitionApplicationStatus(from, to) {
+    return (applicationStatusTransitions[from] || []).includes(to);
+}
 export const updateGrantApplicationStatusSchema = z.object({
-    status: z.enum(["pending", "under_review", "approved", "rejected"]),
+    status: z.enum(applicationStatuses),
     adminNotes: z.string().optional(),
-    disbursementAmount: z.number().optional(),
+    disbursementAmount: z.number().int().positive().optional(),
+});
+// Columns that can be picked for the CSV export, in their default order
+export const applicationExportColumns = [
+    "id", "userId", "fullName", "email", "phoneNumber", "address", "projectTitle", "projectDescription",
+    "grantType", "requestedAmount", "status", "adminNotes", "disbursementAmount", "paymentMethod",
+    "submittedAt", "createdAt", "updatedAt",
+];
+export const applicationExportQuerySchema = applicationListQuerySchema.omit({ limit: true, offset: true }).extend({
+    columns: z.string()
+        .transform((value) => value.split(",").map((column) => column.trim()).filter(Boolean))
+        .pipe(z.array(z.enum(applicationExportColumns)).min(1))
+        .optional(),
+});
+// Statuses a legacy application may be imported with; defaults to pending
+export const importApplicationStatusSchema = z.enum(["pending", "under_review", "approved", "rejected"]).default("pending");
+// Date range accepted by the admin stats endpoint, applied to the submission date
+export const applicationStatsQuerySchema = z.object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+});
+// Application Documents table
+// Uploaded proposal/budget files; the bytes live in the file storage driver named in storageDriver
+export const applicationDocuments = pgTable("application_documents", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    applicationId: varchar("application_id").notNull(),
+    uploadedBy: varchar("uploaded_by").notNull(),
+    fileName: text("file_name").notNull(), // Original name, used for the download
+    mimeType: text("mime_type").notNull(),
+    size: integer("size").notNull(),
+    storageDriver: text("storage_driver").notNull(), // "local" or "cloudinary"
+    storageKey: text("storage_key").notNull(),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+});
+// Application Status History table
+// One row per status change, including the initial submission (fromStatus is null)
+export const applicationStatusHistory = pgTable("application_status_history", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    applicationId: varchar("application_id").notNull(),
+    fromStatus: text("from_status"),
+    toStatus: text("to_status").notNull(),
+    changedBy: varchar("changed_by"), // User who made the change
+    note: text("note"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+});
+// Rubric Criteria table
+// The rubric for a grant type is the set of criteria rows sharing its grantType
+export const rubricCriteria = pgTable("rubric_criteria", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    grantType: text("grant_type").notNull(), // Slug of a grant_programs row
+    name: text("name").notNull(),
+    description: text("description"),
+    weight: integer("weight").notNull(),
+    maxScore: integer("max_score").notNull(),
+    position: integer("position").notNull().default(0),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+});
+export const upsertRubricSchema = z.object({
+    criteria: z.array(z.object({
+        name: z.string().min(1),
+        description: z.string().nullable().optional(),
+        weight: z.number().int().positive(),
+        maxScore: z.number().int().positive(),
+    })).min(1),
+});
+// Application Reviews table
+// A row is created when a reviewer is assigned and filled in when they submit their scores
+export const applicationReviews = pgTable("application_reviews", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    applicationId: varchar("application_id").notNull(),
+    reviewerId: varchar("reviewer_id").notNull(),
+    assignedBy: varchar("assigned_by").notNull(),
+    scores: jsonb("scores"), // [{ criterionId, score }]
+    weightedScore: real("weighted_score"), // 0-100
+    comment: text("comment"),
+    submittedAt: timestamp("submitted_at"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+    updatedAt: timestamp("updated_at").notNull().defaultNow(),
+}, (table) => [
+    unique("application_reviews_application_reviewer_unique").on(table.applicationId, table.reviewerId),
+]);
+export const assignReviewerSchema = z.object({
+    reviewerId: z.string().min(1),
+});
+export const submitReviewSchema = z.object({
+    scores: z.array(z.object({
+        criterionId: z.string(),
+        score: z.number().int(),
+    })).min(1),
+    comment: z.string().optional(),
 });
 // Chat Messages table
 export const chatMessages = pgTable("chat_messages", {
     id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
-    userId: varchar("user_id").notNull(),
-    senderRole: text("sender_role").notNull(), // "user" or "admin"
+    userId: varchar("user_id").notNull(), // Applicant the conversation belongs to
+    senderId: varchar("sender_id"), // Who actually wrote the message (the applicant or an admin)
+    senderRole: text("sender_role").notNull(), // "user", or "admin" for any staff member answering
     message: text("message").notNull(),
     createdAt: timestamp("created_at").notNull().defaultNow(),
 });
@@ -81,13 +349,154 @@ export const insertChatMessageSchema = createInsertSchema(chatMessages).omit({
     id: true,
     createdAt: true,
 });
-// Grant Types configuration (for display purposes)
+// Grant Programs table
+// Each program is identified by its slug, which is what grantApplications.grantType stores
+export const grantPrograms = pgTable("grant_programs", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    slug: text("slug").notNull().unique(),
+    name: text("name").notNull(),
+    description: text("description"),
+    icon: text("icon"),
+    minAmount: integer("min_amount").notNull(),
+    maxAmount: integer("max_amount").notNull(),
+    opensAt: timestamp("opens_at"), // null means open since creation
+    closesAt: timestamp("closes_at"), // null means no deadline
+    status: text("status").notNull().default("active"), // "active" or "archived"
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+    updatedAt: timestamp("updated_at").notNull().defaultNow(),
+});
+const grantProgramFields = z.object({
+    slug: z.string().regex(/^[a-z0-9_-]+$/, "Slug may only contain lowercase letters, digits, '-' and '_'"),
+    name: z.string().min(1),
+    description: z.string().nullable().optional(),
+    icon: z.string().nullable().optional(),
+    minAmount: z.number().int().nonnegative(),
+    maxAmount: z.number().int().positive(),
+    opensAt: z.coerce.date().nullable().optional(),
+    closesAt: z.coerce.date().nullable().optional(),
+    status: z.enum(["active", "archived"]).optional(),
+});
+// Checks that span several fields, shared by create and (after merging) update
+function refineGrantProgram(program, ctx) {
+    if (program.minAmount > program.maxAmount) {
+        ctx.addIssue({ code: "custom", path: ["maxAmount"], message: "maxAmount must be greater than or equal to minAmount" });
+    }
+    if (program.opensAt && program.closesAt && program.opensAt >= program.closesAt) {
+        ctx.addIssue({ code: "custom", path: ["closesAt"], message: "closesAt must be after opensAt" });
+    }
+}
+export const insertGrantProgramSchema = grantProgramFields.superRefine(refineGrantProgram);
+// The slug cannot change once applications may reference it
+export const updateGrantProgramSchema = grantProgramFields.omit({ slug: true }).partial();
+// Notifications table (in-app feed)
+export const notifications = pgTable("notifications", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    userId: varchar("user_id").notNull(),
+    type: text("type").notNull(), // Template name, e.g. "status_changed"
+    title: text("title").notNull(),
+    body: text("body").notNull(),
+    data: jsonb("data"), // Ids the client can link to, e.g. { applicationId }
+    readAt: timestamp("read_at"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+});
+// Notification Outbox table
+// Emails waiting to be delivered; nextAttemptAt doubles as a lease while a delivery is in flight
+export const notificationOutbox = pgTable("notification_outbox", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    userId: varchar("user_id"),
+    template: text("template").notNull(),
+    recipient: text("recipient").notNull(),
+    subject: text("subject").notNull(),
+    body: text("body").notNull(),
+    status: text("status").notNull().default("pending"), // "pending", "sent" or "failed"
+    attempts: integer("attempts").notNull().default(0),
+    lastError: text("last_error"),
+    nextAttemptAt: timestamp("next_attempt_at").notNull().defaultNow(),
+    sentAt: timestamp("sent_at"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+});
+// Disbursements table
+// Payment tranches of an approved application; the tranches that have not failed may not exceed
+// the approved amount
+export const disbursements = pgTable("disbursements", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    applicationId: varchar("application_id").notNull(),
+    amount: integer("amount").notNull(),
+    dueDate: timestamp("due_date").notNull(),
+    status: text("status").notNull().default("scheduled"), // "scheduled", "sent", "cleared" or "failed"
+    method: text("method").notNull(), // "cheque" or "bank_transfer"
+    chequeNumber: text("cheque_number"),
+    transferReference: text("transfer_reference"),
+    notes: text("notes"),
+    recordedBy: varchar("recorded_by").notNull(), // Finance user who scheduled the tranche
+    updatedBy: varchar("updated_by"), // Finance user behind the latest status change
+    sentAt: timestamp("sent_at"),
+    clearedAt: timestamp("cleared_at"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+    updatedAt: timestamp("updated_at").notNull().defaultNow(),
+});
+export const paymentMethods = ["cheque", "bank_transfer"];
+export const disbursementStatuses = ["scheduled", "sent", "cleared", "failed"];
+// A failed tranche stays failed; schedule a new one to retry the payment
+export const disbursementStatusTransitions = {
+    scheduled: ["sent", "failed"],
+    sent: ["cleared", "failed"],
+    cleared: [],
+    failed: [],
+};
+export const createDisbursementSchema = z.object({
+    amount: z.number().int().positive(),
+    dueDate: z.coerce.date(),
+    method: z.enum(paymentMethods).optional(), // Defaults to the application's payment method
+    notes: z.string().optional(),
+});
+export const updateDisbursementSchema = z.object({
+    status: z.enum(disbursementStatuses),
+    chequeNumber: z.string().min(1).optional(),
+    transferReference: z.string().min(1).optional(),
+    notes: z.string().optional(),
+});
+// Bank Accounts table
+// Where a bank_transfer grant is paid to; every *Encrypted column holds an encrypt() ciphertext
+export const bankAccounts = pgTable("bank_accounts", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    applicationId: varchar("application_id").notNull().unique(),
+    userId: varchar("user_id").notNull(),
+    accountHolderEncrypted: text("account_holder_encrypted").notNull(),
+    bankNameEncrypted: text("bank_name_encrypted").notNull(),
+    accountNumberEncrypted: text("account_number_encrypted").notNull(),
+    routingCodeEncrypted: text("routing_code_encrypted").notNull(),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+    updatedAt: timestamp("updated_at").notNull().defaultNow(),
+});
+export const bankAccountSchema = z.object({
+    accountHolder: z.string().trim().min(1),
+    bankName: z.string().trim().min(1),
+    accountNumber: z.string().trim().regex(/^[0-9A-Za-z -]{4,34}$/, "Invalid account number"),
+    routingCode: z.string().trim().regex(/^[0-9A-Za-z -]{3,20}$/, "Invalid routing code"),
+});
+export const revealBankAccountSchema = z.object({
+    reason: z.string().trim().min(5),
+});
+// Bank Account Access Log table
+// One row per admin reveal of the unmasked bank details
+export const bankAccountAccessLog = pgTable("bank_account_access_log", {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    bankAccountId: varchar("bank_account_id").notNull(),
+    applicationId: varchar("application_id").notNull(),
+    accessedBy: varchar("accessed_by").notNull(),
+    reason: text("reason").notNull(),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+});
+// Grant Types configuration, seeded into grant_programs on first start
 export const grantTypes = [
     {
         id: "education",
         name: "Education Grant",
         description: "Support for students, teachers, and educational initiatives",
         amountRange: "$1,000 - $25,000",
+        minAmount: 1000,
+        maxAmount: 25000,
         icon: "GraduationCap",
     },
     {
@@ -95,6 +504,8 @@ export const grantTypes = [
         name: "Small Business Grant",
         description: "Funding for entrepreneurs and small business development",
         amountRange: "$5,000 - $50,000",
+        minAmount: 5000,
+        maxAmount: 50000,
         icon: "Briefcase",
     },
     {
@@ -102,6 +513,8 @@ export const grantTypes = [
         name: "Community Development",
         description: "Projects that benefit local communities and social causes",
         amountRange: "$2,000 - $30,000",
+        minAmount: 2000,
+        maxAmount: 30000,
         icon: "Users",
     },
     {
@@ -109,6 +522,8 @@ export const grantTypes = [
         name: "Research & Innovation",
         description: "Support for research projects and innovative solutions",
         amountRange: "$10,000 - $100,000",
+        minAmount: 10000,
+        maxAmount: 100000,
         icon: "Lightbulb",
     },
 ];
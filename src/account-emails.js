@@ -0,0 +1,95 @@
+// Password reset and email verification links.
+// These emails carry a secret token, so they go straight to the mail transport instead of the outbox:
+// only the token hash is ever stored.
+import crypto from "crypto";
+import { storage } from "./storage.js";
+import { getMailTransport } from "./mail-transports.js";
+import { hashToken } from "./auth.js";
+import { config } from "./config.js";
+
+const FRONTEND_URL = config.frontendUrl;
+const PASSWORD_RESET_TTL_MS = config.auth.passwordResetTtlMs;
+const EMAIL_VERIFICATION_TTL_MS = config.auth.emailVerificationTtlMs;
+const ACCOUNT_INVITE_TTL_MS = config.auth.accountInviteTtlMs;
+
+// Describes a TTL in its largest whole unit, e.g. 60 minutes as "1 hour" and 7 days as "7 days".
+// Every TTL is configured in whole minutes, so one of the units always fits.
+function formatDuration(ms) {
+    const units = [["day", 24 * 60 * 60 * 1000], ["hour", 60 * 60 * 1000], ["minute", 60 * 1000]];
+    const [unit, size] = units.find(([, unitMs]) => ms % unitMs === 0);
+    const count = ms / size;
+    return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
+
+// validFor is how long the link works, from the configured TTL (see emailSettings)
+const templates = {
+    password_reset: ({ user, link, validFor }) => ({
+        subject: "Reset your GrantHub password",
+        text: `Hello ${user.fullName},\n\n`
+            + `We received a request to reset your password. Open the link below within ${validFor} to choose a new one:\n\n`
+            + `${link}\n\nIf you did not ask for this, you can ignore this email.\n\nThe GrantHub Team`,
+    }),
+    account_invite: ({ user, link, validFor }) => ({
+        subject: "Your GrantHub staff account",
+        text: `Hello ${user.fullName},\n\n`
+            + `A GrantHub account has been created for you. Open the link below within ${validFor} to choose your password:\n\n`
+            + `${link}\n\nThe GrantHub Team`,
+    }),
+    forced_password_reset: ({ user, link, validFor }) => ({
+        subject: "Please choose a new GrantHub password",
+        text: `Hello ${user.fullName},\n\n`
+            + `An administrator has reset your password and signed you out everywhere. Open the link below within ${validFor} to choose a new one:\n\n`
+            + `${link}\n\nThe GrantHub Team`,
+    }),
+    email_verification: ({ user, link, validFor }) => ({
+        subject: "Verify your GrantHub email address",
+        text: `Hello ${user.fullName},\n\n`
+            + `Please confirm your email address by opening the link below. You need a verified address to submit applications.\n\n`
+            + `${link}\n\nThe link expires in ${validFor}.\n\nThe GrantHub Team`,
+    }),
+};
+
+// Which token each email carries and how long its link stays valid
+const emailSettings = {
+    password_reset: { purpose: "password_reset", ttlMs: PASSWORD_RESET_TTL_MS, path: "/reset-password" },
+    forced_password_reset: { purpose: "password_reset", ttlMs: PASSWORD_RESET_TTL_MS, path: "/reset-password" },
+    account_invite: { purpose: "password_reset", ttlMs: ACCOUNT_INVITE_TTL_MS, path: "/reset-password" },
+    email_verification: { purpose: "email_verification", ttlMs: EMAIL_VERIFICATION_TTL_MS, path: "/verify-email" },
+};
+
+// Replaces any outstanding token of the same purpose with a new one and emails the link
+async function sendTokenEmail(user, template) {
+    const settings = emailSettings[template];
+    const token = crypto.randomBytes(32).toString("base64url");
+    await storage.invalidateUserTokens(user.id, settings.purpose);
+    await storage.createUserToken({
+        userId: user.id,
+        purpose: settings.purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + settings.ttlMs),
+    });
+    const link = `${FRONTEND_URL}${settings.path}?token=${encodeURIComponent(token)}`;
+    const rendered = templates[template]({ user, link, validFor: formatDuration(settings.ttlMs) });
+    await getMailTransport().send({ to: user.email, subject: rendered.subject, text: rendered.text });
+}
+
+export function sendPasswordResetEmail(user) {
+    return sendTokenEmail(user, "password_reset");
+}
+
+export function sendForcedPasswordResetEmail(user) {
+    return sendTokenEmail(user, "forced_password_reset");
+}
+
+export function sendAccountInviteEmail(user) {
+    return sendTokenEmail(user, "account_invite");
+}
+
+export function sendVerificationEmail(user) {
+    return sendTokenEmail(user, "email_verification");
+}
+
+// Returns the token record if it is valid, marking it used; undefined otherwise
+export function consumeToken(token, purpose) {
+    return storage.consumeUserToken(hashToken(token), purpose);
+}
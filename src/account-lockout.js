@@ -0,0 +1,35 @@
+// Progressive account lockout after repeated failed logins.
+// From the LOCKOUT_THRESHOLD-th failure on, the account is locked for a period that doubles with each
+// further failure. Failures are forgotten after FAILURE_WINDOW_MS without another one, a successful
+// login, a password reset or an admin unlock.
+import { storage } from "./storage.js";
+
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// Seconds until the account unlocks, or 0 if it is not locked
+export function getLockoutSeconds(user) {
+    if (!user.lockedUntil) {
+        return 0;
+    }
+    return Math.max(Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000), 0);
+}
+
+// Counts a failed login and returns the lockout in seconds it triggered, if any
+export async function recordLoginFailure(user) {
+    const updated = await storage.recordFailedLogin(user.id, new Date(Date.now() - FAILURE_WINDOW_MS));
+    if (updated.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+        return 0;
+    }
+    const durationMs = Math.min(LOCKOUT_BASE_MS * 2 ** (updated.failedLoginAttempts - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+    await storage.lockUser(user.id, new Date(Date.now() + durationMs));
+    return Math.ceil(durationMs / 1000);
+}
+
+export async function clearLoginFailures(user) {
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+        await storage.clearFailedLogins(user.id);
+    }
+}
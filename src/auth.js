@@ -0,0 +1,154 @@
+// Token issuing and request authentication.
+// Access tokens are short-lived JWTs carrying the user's token version; refresh tokens are random
+// strings stored hashed and rotated on every use. Bumping users.tokenVersion invalidates every access
+// token issued before the bump. Users with 2FA get a short-lived challenge token from the password
+// step instead, which is never accepted as an access token.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { storage } from "./storage.js";
+import { hasPermission, rolePermissions } from "../shared/schema.js";
+import { config } from "./config.js";
+
+const JWT_SECRET = config.auth.jwtSecret;
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl;
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+// When on, staff roles get no permissions until they enroll in 2FA
+const REQUIRE_STAFF_2FA = config.auth.requireStaff2fa;
+
+export function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function signAccessToken(user) {
+    return jwt.sign({ id: user.id, email: user.email, role: user.role, tv: user.tokenVersion }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Issues an access token and a new refresh token; familyId links rotated tokens of one login session
+export async function issueAuthTokens(user, familyId = crypto.randomUUID()) {
+    const refreshToken = crypto.randomBytes(32).toString("base64url");
+    const record = await storage.createRefreshToken({
+        userId: user.id,
+        tokenHash: hashToken(refreshToken),
+        familyId,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+    return { token: signAccessToken(user), refreshToken, refreshTokenId: record.id };
+}
+
+export function isTwoFactorSetupRequired(user) {
+    return REQUIRE_STAFF_2FA && !user.totpEnabledAt && (rolePermissions[user.role] || []).length > 0;
+}
+
+// The role whose permissions apply right now; staff blocked by the 2FA policy act as plain users
+export function effectiveRole(user) {
+    return isTwoFactorSetupRequired(user) ? "user" : user.role;
+}
+
+export function signTwoFactorChallenge(user) {
+    return jwt.sign({ id: user.id, tv: user.tokenVersion, purpose: "2fa" }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+}
+
+// Resolves a challenge token to the user who passed the password step, or null
+export async function verifyTwoFactorChallenge(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    }
+    catch (error) {
+        return null;
+    }
+    if (decoded.purpose !== "2fa") {
+        return null;
+    }
+    const user = await storage.getUser(decoded.id);
+    if (!user || user.deactivatedAt || user.tokenVersion !== decoded.tv || !user.totpEnabledAt) {
+        return null;
+    }
+    return user;
+}
+
+// Exchanges a refresh token for a new pair. Presenting an already rotated token means it leaked,
+// so the whole session family is revoked.
+export async function rotateRefreshToken(refreshToken) {
+    const record = await storage.getRefreshTokenByHash(hashToken(refreshToken));
+    if (!record) {
+        throw new Error("Invalid refresh token");
+    }
+    if (record.revokedAt) {
+        await storage.revokeRefreshTokenFamily(record.familyId);
+        throw new Error("Invalid refresh token");
+    }
+    if (record.expiresAt < new Date()) {
+        throw new Error("Invalid refresh token");
+    }
+    const user = await storage.getUser(record.userId);
+    if (!user || user.deactivatedAt) {
+        throw new Error("Invalid refresh token");
+    }
+    // Losing this race also means the token was used twice
+    const revoked = await storage.revokeRefreshToken(record.id);
+    if (!revoked) {
+        await storage.revokeRefreshTokenFamily(record.familyId);
+        throw new Error("Invalid refresh token");
+    }
+    const tokens = await issueAuthTokens(user, record.familyId);
+    await storage.setRefreshTokenReplacement(record.id, tokens.refreshTokenId);
+    return { user, token: tokens.token, refreshToken: tokens.refreshToken };
+}
+
+// Resolves an access token to the current user record, or null if it is invalid, expired, revoked or
+// the account is deactivated
+export async function verifyAccessToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    }
+    catch (error) {
+        return null;
+    }
+    if (decoded.purpose) {
+        return null;
+    }
+    const user = await storage.getUser(decoded.id);
+    if (!user || user.deactivatedAt || user.tokenVersion !== decoded.tv) {
+        return null;
+    }
+    return user;
+}
+
+// Middleware to verify JWT token and attach user to request.
+// The role comes from the database, so a demotion takes effect on the next request.
+export async function authenticate(req, res, next) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+        return res.status(401).json({ message: "Authentication required" });
+    }
+
+    const token = authHeader.split(" ")[1];
+    let user;
+    try {
+        user = await verifyAccessToken(token);
+    } catch (error) {
+        return next(error);
+    }
+    if (!user) {
+        return res.status(401).json({ message: "Invalid or expired token" });
+    }
+    req.user = { id: user.id, email: user.email, role: effectiveRole(user), twoFactorSetupRequired: isTwoFactorSetupRequired(user) };
+    next();
+}
+
+// Middleware factory that only lets through users whose role grants the permission
+// (must be used after authenticate)
+export function requirePermission(permission) {
+    return (req, res, next) => {
+        if (req.user && req.user.twoFactorSetupRequired) {
+            return res.status(403).json({ message: "Set up two-factor authentication to use staff features" });
+        }
+        if (!req.user || !hasPermission(req.user.role, permission)) {
+            return res.status(403).json({ message: "Insufficient permissions" });
+        }
+        next();
+    };
+}
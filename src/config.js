@@ -0,0 +1,215 @@
+// Application configuration, read once from the environment (and .env outside production) and
+// validated with zod, so a bad value stops the process at startup instead of failing on first use.
+// Production refuses to boot with missing or placeholder secrets (the "your_..." values in .env.example).
+// Every variable is described in .env.example.
+import dotenv from "dotenv";
+import { z } from "zod";
+
+if (process.env.NODE_ENV !== "production") {
+    dotenv.config({ quiet: true });
+}
+
+// Only for local development; production must set its own (see checkSettings)
+const DEVELOPMENT_JWT_SECRET = "development-only-jwt-secret";
+const DEFAULT_CORS_ORIGINS = ["https://grant-manager-frontend.vercel.app", "http://localhost:3000", "http://localhost:5173"];
+
+const integer = (defaultValue, min = 1) => z.coerce.number().int().min(min).default(defaultValue);
+const flag = z.enum(["true", "false"]).default("false").transform((value) => value === "true");
+// jsonwebtoken reads a bare number string as milliseconds, so a unit is required
+const duration = z.string().regex(/^\d+[smhd]$/, "Expected a number with a unit, e.g. 15m or 12h");
+const commaList = z.string().transform((value) => value.split(",").map((item) => item.trim()).filter(Boolean));
+const origin = z.url().refine((value) => new URL(value).origin === value, "Expected an origin such as https://example.org, without a path or trailing slash");
+
+const envSchema = z.object({
+    NODE_ENV: z.enum(["development", "test", "production"]).default("development"),
+    PORT: integer(5001),
+    TRUST_PROXY: z.coerce.number().int().min(0).optional(),
+    SHUTDOWN_TIMEOUT_MS: integer(10000),
+
+    STORAGE_DRIVER: z.enum(["database", "memory"]).default("database"),
+    DATABASE_URL: z.string().optional(),
+    DB_SSL: flag,
+    DB_POOL_MAX: integer(5),
+    DB_POOL_IDLE_TIMEOUT_MS: integer(30000),
+    DB_CONNECTION_TIMEOUT_MS: integer(15000),
+
+    JWT_SECRET: z.string().optional(),
+    ACCESS_TOKEN_TTL: duration.default("15m"),
+    REFRESH_TOKEN_TTL_DAYS: integer(30),
+    PASSWORD_RESET_TTL_MINUTES: integer(60),
+    EMAIL_VERIFICATION_TTL_HOURS: integer(24),
+    ACCOUNT_INVITE_TTL_DAYS: integer(7),
+    REQUIRE_STAFF_2FA: flag,
+    BANK_DETAILS_ENCRYPTION_KEY: z.string().optional(),
+    TOTP_ENCRYPTION_KEY: z.string().optional(),
+
+    INITIAL_ADMIN_EMAIL: z.email().optional(),
+    INITIAL_ADMIN_PASSWORD: z.string().optional(),
+    INITIAL_ADMIN_NAME: z.string().default("Administrator"),
+
+    RATE_LIMIT_STORE: z.enum(["memory", "postgres"]).default("memory"),
+    CORS_ALLOWED_ORIGINS: commaList.pipe(z.array(origin)).optional(),
+    FRONTEND_URL: z.url().default("http://localhost:5173"),
+
+    FILE_STORAGE_DRIVER: z.enum(["local", "cloudinary"]).optional(),
+    UPLOAD_DIR: z.string().default("uploads"),
+    UPLOAD_MAX_FILE_SIZE_MB: integer(10),
+    CLOUDINARY_CLOUD_NAME: z.string().optional(),
+    CLOUDINARY_API_KEY: z.string().optional(),
+    CLOUDINARY_API_SECRET: z.string().optional(),
+    CLOUDINARY_FOLDER: z.string().default("granthub-applications"),
+
+    MAIL_TRANSPORT: z.enum(["smtp", "log", "file"]).optional(),
+    MAIL_FROM: z.string().default("GrantHub <no-reply@granthub.com>"),
+    MAIL_FILE_PATH: z.string().default("logs/mail.log"),
+    SMTP_HOST: z.string().optional(),
+    SMTP_PORT: integer(587),
+    SMTP_SECURE: flag,
+    SMTP_USER: z.string().optional(),
+    SMTP_PASS: z.string().optional(),
+
+    LOG_LEVEL: z.enum(["debug", "info", "warn", "error", "silent"]).default("info"),
+    LOG_REDACT_FIELDS: commaList.default([]),
+    METRICS_TOKEN: z.string().optional(),
+});
+
+const isPlaceholder = (value) => /^your[-_]/i.test(value);
+
+// Field encryption keys by purpose (see encryption.js), each kept separate so it can be rotated alone
+export const ENCRYPTION_KEY_VARIABLES = { bankDetails: "BANK_DETAILS_ENCRYPTION_KEY", totp: "TOTP_ENCRYPTION_KEY" };
+
+// 32 bytes, hex or base64 encoded
+function decodeEncryptionKey(raw) {
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+    return key.length === 32 ? key : null;
+}
+
+// MAIL_TRANSPORT, else smtp when SMTP_HOST is set, else log; production only accepts smtp (see checkSettings)
+function resolveMailTransport(env) {
+    return env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : "log");
+}
+
+function checkSettings(env, ctx) {
+    const problem = (path, message) => ctx.addIssue({ code: "custom", path: [path], message });
+    // Only checked when used, so a copied .env.example still works with STORAGE_DRIVER=memory
+    if (env.STORAGE_DRIVER === "database" && !/^postgres(ql)?:\/\//.test(env.DATABASE_URL || "")) {
+        problem("DATABASE_URL", "Required when STORAGE_DRIVER is database, as a postgres:// connection string");
+    }
+    for (const name of Object.values(ENCRYPTION_KEY_VARIABLES)) {
+        if (env[name] && !isPlaceholder(env[name]) && !decodeEncryptionKey(env[name])) {
+            problem(name, "Must be 32 bytes, hex or base64 encoded (openssl rand -hex 32)");
+        }
+    }
+    if (env.TOTP_ENCRYPTION_KEY && env.TOTP_ENCRYPTION_KEY === env.BANK_DETAILS_ENCRYPTION_KEY) {
+        problem("TOTP_ENCRYPTION_KEY", "Must differ from BANK_DETAILS_ENCRYPTION_KEY");
+    }
+    if (env.NODE_ENV !== "production") {
+        return;
+    }
+    if (!env.JWT_SECRET || isPlaceholder(env.JWT_SECRET) || env.JWT_SECRET.length < 32) {
+        problem("JWT_SECRET", "Production needs a random secret of at least 32 characters");
+    }
+    for (const name of Object.values(ENCRYPTION_KEY_VARIABLES)) {
+        if (!env[name] || isPlaceholder(env[name])) {
+            problem(name, "Production needs a generated key (openssl rand -hex 32)");
+        }
+    }
+    // The log and file transports drop every email, including password resets and invites
+    const mailTransport = resolveMailTransport(env);
+    if (mailTransport !== "smtp") {
+        problem(env.MAIL_TRANSPORT ? "MAIL_TRANSPORT" : "SMTP_HOST",
+            `Production must deliver email over SMTP, not the ${mailTransport} transport`);
+    } else if (!env.SMTP_HOST) {
+        problem("SMTP_HOST", "Required when MAIL_TRANSPORT is smtp");
+    }
+    if (env.INITIAL_ADMIN_PASSWORD && env.INITIAL_ADMIN_PASSWORD.length < 12) {
+        problem("INITIAL_ADMIN_PASSWORD", "Production needs at least 12 characters");
+    }
+    for (const name of ["CLOUDINARY_API_KEY", "CLOUDINARY_API_SECRET", "SMTP_PASS", "METRICS_TOKEN"]) {
+        if (env[name] && isPlaceholder(env[name])) {
+            problem(name, "Still set to the placeholder from .env.example");
+        }
+    }
+}
+
+// Builds the config from an environment; exported so tests can check validation without restarting
+export function loadConfig(source = process.env) {
+    // Empty values, as in .env.example, count as unset
+    const present = Object.fromEntries(Object.entries(source).filter(([, value]) => value !== ""));
+    const result = envSchema.superRefine(checkSettings).safeParse(present);
+    if (!result.success) {
+        const details = result.error.issues.map((issue) => `  ${issue.path.join(".")}: ${issue.message}`);
+        throw new Error(`Invalid configuration:\n${details.join("\n")}`);
+    }
+    const env = result.data;
+    const isProduction = env.NODE_ENV === "production";
+    const encryptionKeys = Object.fromEntries(Object.entries(ENCRYPTION_KEY_VARIABLES).map(([purpose, name]) => [
+        purpose,
+        env[name] && !isPlaceholder(env[name]) ? decodeEncryptionKey(env[name]) : null,
+    ]));
+    return {
+        env: env.NODE_ENV,
+        isProduction,
+        port: env.PORT,
+        trustProxy: env.TRUST_PROXY,
+        shutdownTimeoutMs: env.SHUTDOWN_TIMEOUT_MS,
+        storageDriver: env.STORAGE_DRIVER,
+        database: {
+            url: env.DATABASE_URL,
+            ssl: env.DB_SSL,
+            poolMax: env.DB_POOL_MAX,
+            idleTimeoutMs: env.DB_POOL_IDLE_TIMEOUT_MS,
+            connectionTimeoutMs: env.DB_CONNECTION_TIMEOUT_MS,
+        },
+        auth: {
+            jwtSecret: env.JWT_SECRET || DEVELOPMENT_JWT_SECRET,
+            accessTokenTtl: env.ACCESS_TOKEN_TTL,
+            refreshTokenTtlDays: env.REFRESH_TOKEN_TTL_DAYS,
+            passwordResetTtlMs: env.PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+            emailVerificationTtlMs: env.EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+            accountInviteTtlMs: env.ACCOUNT_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000,
+            requireStaff2fa: env.REQUIRE_STAFF_2FA,
+        },
+        encryptionKeys,
+        initialAdmin: {
+            email: env.INITIAL_ADMIN_EMAIL,
+            password: env.INITIAL_ADMIN_PASSWORD,
+            name: env.INITIAL_ADMIN_NAME,
+        },
+        rateLimitStore: env.RATE_LIMIT_STORE,
+        // Local development origins are only allowed by default outside production
+        corsAllowedOrigins: env.CORS_ALLOWED_ORIGINS
+            || (isProduction ? DEFAULT_CORS_ORIGINS.filter((value) => value.startsWith("https:")) : DEFAULT_CORS_ORIGINS),
+        frontendUrl: env.FRONTEND_URL.replace(/\/+$/, ""),
+        uploads: {
+            driver: env.FILE_STORAGE_DRIVER || (env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local"),
+            dir: env.UPLOAD_DIR,
+            maxFileSizeBytes: env.UPLOAD_MAX_FILE_SIZE_MB * 1024 * 1024,
+        },
+        cloudinary: {
+            cloudName: env.CLOUDINARY_CLOUD_NAME,
+            apiKey: env.CLOUDINARY_API_KEY,
+            apiSecret: env.CLOUDINARY_API_SECRET,
+            folder: env.CLOUDINARY_FOLDER,
+        },
+        mail: {
+            transport: resolveMailTransport(env),
+            from: env.MAIL_FROM,
+            filePath: env.MAIL_FILE_PATH,
+            smtp: {
+                host: env.SMTP_HOST,
+                port: env.SMTP_PORT,
+                secure: env.SMTP_SECURE,
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS,
+            },
+        },
+        log: {
+            level: env.LOG_LEVEL,
+            redactFields: env.LOG_REDACT_FIELDS,
+        },
+        metricsToken: env.METRICS_TOKEN,
+    };
+}
+
+export const config = loadConfig();
@@ -0,0 +1,88 @@
+// Minimal RFC 4180 CSV reading and writing, enough for spreadsheet exports and imports.
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+// Values starting with + or - that are only a number or phone number, e.g. "+1 555 010 0000" or "-250",
+// are left alone so they import back unchanged
+const SIGNED_NUMBER = /^[+-][\d\s().-]*$/;
+
+function isFormula(text) {
+    return FORMULA_PREFIXES.includes(text[0]) && !SIGNED_NUMBER.test(text);
+}
+
+function formatCell(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && isFormula(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+export function toCsvRow(values) {
+    return values.map(formatCell).join(",") + "\r\n";
+}
+
+// Returns an array of rows, each an array of cell strings. Blank lines are skipped.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+    // Ignore a UTF-8 byte order mark written by Excel
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            }
+            else if (char === '"') {
+                inQuotes = false;
+            }
+            else {
+                cell += char;
+            }
+        }
+        else if (char === '"') {
+            inQuotes = true;
+        }
+        else if (char === ",") {
+            row.push(cell);
+            cell = "";
+        }
+        else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        }
+        else {
+            cell += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error("Unterminated quoted field");
+    }
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+// Turns parsed rows into objects keyed by the trimmed header names of the first row
+export function rowsToObjects(rows) {
+    const [header = [], ...body] = rows;
+    const keys = header.map((name) => name.trim());
+    return body.map((cells) => Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ""])));
+}
@@ -0,0 +1,1115 @@
+// Postgres-backed storage through drizzle; the default STORAGE_DRIVER (see storage.js).
+import bcrypt from "bcryptjs";
+import { db, pool } from "./db-vercel.js";
+import { listPendingMigrations } from "./migrate.js";
+import { logger } from "./logger.js";
+import { config } from "./config.js";
+import { users, grantApplications, chatMessages, grantPrograms, grantTypes, applicationStatusHistory, rubricCriteria, applicationReviews, applicationDocuments, notifications, notificationOutbox, disbursements, bankAccounts, bankAccountAccessLog, refreshTokens, userTokens, rateLimitBuckets, recoveryCodes } from "../shared/schema.js";
+import { eq, ne, desc, asc, lt, lte, gte, and, or, ilike, inArray, sql, isNull, isNotNull } from "drizzle-orm";
+const log = logger.child({ component: "storage" });
+
+// The original seed created this admin with a published password. Until the password is changed the
+// account does not count as an administrator and seedData deactivates it.
+const SEEDED_ADMIN = { email: "admin@granthub.com", password: "admin123" };
+
+async function isSeededAdmin(user) {
+    return user.role === "admin" && user.email === SEEDED_ADMIN.email && bcrypt.compare(SEEDED_ADMIN.password, user.password);
+}
+
+// Escape LIKE wildcards so user input is matched literally
+function likePattern(value) {
+    return `%${value.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+}
+
+// Turns parsed applicationListQuerySchema filters into WHERE conditions; drafts are never included
+export function buildApplicationFilters(filters = {}) {
+    const conditions = [ne(grantApplications.status, "draft")];
+    if (filters.status && filters.status.length > 0) {
+        conditions.push(inArray(grantApplications.status, filters.status));
+    }
+    if (filters.grantType) {
+        conditions.push(eq(grantApplications.grantType, filters.grantType));
+    }
+    if (filters.minAmount !== undefined) {
+        conditions.push(gte(grantApplications.requestedAmount, filters.minAmount));
+    }
+    if (filters.maxAmount !== undefined) {
+        conditions.push(lte(grantApplications.requestedAmount, filters.maxAmount));
+    }
+    if (filters.createdFrom) {
+        conditions.push(gte(grantApplications.createdAt, filters.createdFrom));
+    }
+    if (filters.createdTo) {
+        conditions.push(lte(grantApplications.createdAt, filters.createdTo));
+    }
+    if (filters.updatedFrom) {
+        conditions.push(gte(grantApplications.updatedAt, filters.updatedFrom));
+    }
+    if (filters.updatedTo) {
+        conditions.push(lte(grantApplications.updatedAt, filters.updatedTo));
+    }
+    if (filters.email) {
+        conditions.push(ilike(grantApplications.email, likePattern(filters.email)));
+    }
+    if (filters.q) {
+        const pattern = likePattern(filters.q);
+        conditions.push(or(
+            ilike(grantApplications.projectTitle, pattern),
+            ilike(grantApplications.projectDescription, pattern),
+        ));
+    }
+    return and(...conditions);
+}
+
+export class DatabaseStorage {
+    constructor() {
+        // Seeding moved to initStorage for reliability on Vercel
+    }
+
+    // Health checks and shutdown
+    async ping() {
+        await db.execute(sql`SELECT 1`);
+    }
+    getPendingMigrations() {
+        return listPendingMigrations();
+    }
+    getConnectionPoolStats() {
+        return { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount };
+    }
+    async close() {
+        await pool.end();
+    }
+
+    // Reference data the app needs to work; runs on every start and is safe to repeat
+    async seedData() {
+        // Create the default grant programs the first time the app starts
+        const existingPrograms = await db.select().from(grantPrograms).limit(1);
+        if (existingPrograms.length === 0) {
+            const programsToInsert = grantTypes.map((type) => ({
+                slug: type.id,
+                name: type.name,
+                description: type.description,
+                icon: type.icon,
+                minAmount: type.minAmount,
+                maxAmount: type.maxAmount,
+            }));
+            await db.insert(grantPrograms).values(programsToInsert);
+        }
+        await this.retireSeededAdmin();
+        // Bootstrap the first administrator from the environment (or run `npm run setup-admin` once)
+        const initialAdmin = config.initialAdmin;
+        if (initialAdmin.email && initialAdmin.password && !(await this.hasAdministrator())) {
+            const admin = await this.createInitialAdmin({
+                email: initialAdmin.email,
+                password: await bcrypt.hash(initialAdmin.password, 10),
+                fullName: initialAdmin.name,
+            });
+            log.info("Created initial administrator", { userId: admin.id });
+        }
+    }
+    async retireSeededAdmin() {
+        const user = await this.getUserByEmail(SEEDED_ADMIN.email);
+        if (user && !user.deactivatedAt && await isSeededAdmin(user)) {
+            await this.setUserDeactivated(user.id, true);
+            log.warn("Deactivated the seeded admin account, which still has its default password", { userId: user.id });
+        }
+    }
+    // Demo applicant with sample applications, for local development; run through `npm run seed`
+    async seedDemoData() {
+        // Check if demo user already exists
+        const existingDemoUser = await db.select().from(users).where(eq(users.email, "demo@example.com")).limit(1);
+        if (existingDemoUser.length === 0) {
+            // Create demo user with real bcrypt hash
+            const demoUser = {
+                email: "demo@example.com",
+                password: await bcrypt.hash("password", 10), // Real bcrypt hash for "password"
+                fullName: "Demo User",
+                phoneNumber: "+1 555 123 4567",
+                role: "user",
+                emailVerified: true,
+            };
+            const result = await db.insert(users).values(demoUser).returning();
+            const userId = result[0].id;
+            // Create sample applications for the demo user with explicit typing
+            const applicationsToInsert = [
+                {
+                    userId: userId,
+                    fullName: "Demo User",
+                    email: "demo@example.com",
+                    phoneNumber: "+1 555 123 4567",
+                    address: "123 Main St, San Francisco, CA 94102",
+                    projectTitle: "Community Education Center",
+                    projectDescription: "Building a community center to provide free educational resources and tutoring for underprivileged children in our neighborhood.",
+                    grantType: "education",
+                    requestedAmount: 15000,
+                    fileUrl: "",
+                    fileName: "",
+                    submittedAt: new Date(),
+                },
+                {
+                    userId: userId,
+                    fullName: "Demo User",
+                    email: "demo@example.com",
+                    phoneNumber: "+1 555 123 4567",
+                    address: "123 Main St, San Francisco, CA 94102",
+                    projectTitle: "Small Business Expansion",
+                    projectDescription: "Expanding my bakery business to include a second location and hire 5 new employees.",
+                    grantType: "business",
+                    requestedAmount: 30000,
+                    fileUrl: "",
+                    fileName: "",
+                    submittedAt: new Date(),
+                }
+            ];
+            // @ts-ignore - Type resolution issue with Drizzle schema
+            await db.insert(grantApplications).values(applicationsToInsert);
+        }
+    }
+    // User operations
+    async getUser(id) {
+        const result = await db.select().from(users).where(eq(users.id, id)).limit(1);
+        return result[0];
+    }
+    async getUserByEmail(email) {
+        const result = await db.select().from(users).where(eq(users.email, email.toLowerCase())).limit(1);
+        return result[0];
+    }
+    async createUser(insertUser) {
+        // Ensure email is stored in lowercase
+        const userToInsert = {
+            email: insertUser.email.toLowerCase(),
+            password: insertUser.password,
+            fullName: insertUser.fullName,
+            phoneNumber: insertUser.phoneNumber,
+            role: insertUser.role,
+            emailVerified: insertUser.emailVerified || false,
+        };
+        const result = await db.insert(users).values(userToInsert).returning();
+        if (result.length > 0) {
+            return result[0];
+        }
+        else {
+            throw new Error("Failed to create user");
+        }
+    }
+    async getAllUsers() {
+        return await db.select().from(users).orderBy(asc(users.createdAt));
+    }
+    // True once any account can manage users, which ends the one-time admin bootstrap. The seeded
+    // admin is skipped; it is unique by email, so two rows are enough to find another one.
+    async hasAdministrator() {
+        const admins = await db.select().from(users)
+            .where(and(inArray(users.role, ["super_admin", "admin"]), isNull(users.deactivatedAt)))
+            .limit(2);
+        for (const admin of admins) {
+            if (!(await isSeededAdmin(admin))) {
+                return true;
+            }
+        }
+        return false;
+    }
+    async createInitialAdmin(admin) {
+        const existing = await this.getUserByEmail(admin.email);
+        if (existing) {
+            throw new Error("Email already registered");
+        }
+        return this.createUser({ ...admin, role: "super_admin", emailVerified: true });
+    }
+    // Deactivating also bumps the token version so issued access tokens stop working at once
+    async setUserDeactivated(userId, deactivated) {
+        const updates = deactivated
+            ? { deactivatedAt: new Date(), tokenVersion: sql`${users.tokenVersion} + 1` }
+            : { deactivatedAt: null };
+        const result = await db.update(users).set(updates).where(eq(users.id, userId)).returning();
+        return result[0];
+    }
+    // Failures before windowStart are forgotten, so the count restarts after a quiet period
+    async recordFailedLogin(userId, windowStart) {
+        const result = await db.update(users)
+            .set({
+                failedLoginAttempts: sql`CASE WHEN ${users.lastFailedLoginAt} IS NULL OR ${users.lastFailedLoginAt} < ${windowStart} THEN 1 ELSE ${users.failedLoginAttempts} + 1 END`,
+                lastFailedLoginAt: new Date(),
+            })
+            .where(eq(users.id, userId))
+            .returning();
+        return result[0];
+    }
+    async lockUser(userId, lockedUntil) {
+        const result = await db.update(users).set({ lockedUntil }).where(eq(users.id, userId)).returning();
+        return result[0];
+    }
+    async clearFailedLogins(userId) {
+        const result = await db.update(users)
+            .set({ failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null })
+            .where(eq(users.id, userId))
+            .returning();
+        return result[0];
+    }
+    async updateUserProfile(userId, profile) {
+        const result = await db.update(users).set(profile).where(eq(users.id, userId)).returning();
+        return result[0];
+    }
+    // Two-factor operations
+    // Starts (or restarts) enrollment; 2FA stays off until a code from the new secret is confirmed
+    async setTotpSecret(userId, secretEncrypted) {
+        const result = await db.update(users)
+            .set({ totpSecretEncrypted: secretEncrypted, totpEnabledAt: null, totpLastCounter: null })
+            .where(eq(users.id, userId))
+            .returning();
+        return result[0];
+    }
+    async enableTotp(userId, counter) {
+        const result = await db.update(users)
+            .set({ totpEnabledAt: new Date(), totpLastCounter: counter })
+            .where(eq(users.id, userId))
+            .returning();
+        return result[0];
+    }
+    // Records the accepted time step; undefined if that step (or a later one) was already used
+    async useTotpCounter(userId, counter) {
+        const result = await db.update(users)
+            .set({ totpLastCounter: counter })
+            .where(and(
+                eq(users.id, userId),
+                or(isNull(users.totpLastCounter), lt(users.totpLastCounter, counter)),
+            ))
+            .returning();
+        return result[0];
+    }
+    async disableTotp(userId) {
+        return await db.transaction(async (tx) => {
+            await tx.delete(recoveryCodes).where(eq(recoveryCodes.userId, userId));
+            const result = await tx.update(users)
+                .set({ totpSecretEncrypted: null, totpEnabledAt: null, totpLastCounter: null })
+                .where(eq(users.id, userId))
+                .returning();
+            return result[0];
+        });
+    }
+    async replaceRecoveryCodes(userId, codeHashes) {
+        await db.transaction(async (tx) => {
+            await tx.delete(recoveryCodes).where(eq(recoveryCodes.userId, userId));
+            await tx.insert(recoveryCodes).values(codeHashes.map((codeHash) => ({ userId, codeHash })));
+        });
+    }
+    // Marks an unused code as used and returns it; undefined if it is unknown or already used
+    async consumeRecoveryCode(userId, codeHash) {
+        const result = await db.update(recoveryCodes)
+            .set({ usedAt: new Date() })
+            .where(and(eq(recoveryCodes.userId, userId), eq(recoveryCodes.codeHash, codeHash), isNull(recoveryCodes.usedAt)))
+            .returning();
+        return result[0];
+    }
+    async countUnusedRecoveryCodes(userId) {
+        const result = await db.select({ count: sql`count(*)`.mapWith(Number) })
+            .from(recoveryCodes)
+            .where(and(eq(recoveryCodes.userId, userId), isNull(recoveryCodes.usedAt)));
+        return result[0].count;
+    }
+    async updateUserRole(userId, role) {
+        const result = await db.update(users).set({ role }).where(eq(users.id, userId)).returning();
+        return result[0];
+    }
+    async setEmailVerified(userId) {
+        const result = await db.update(users).set({ emailVerified: true }).where(eq(users.id, userId)).returning();
+        return result[0];
+    }
+    // Changing the password also revokes every access token issued with the old one and lifts any lockout
+    async updateUserPassword(userId, passwordHash) {
+        const result = await db.update(users)
+            .set({
+                password: passwordHash,
+                tokenVersion: sql`${users.tokenVersion} + 1`,
+                failedLoginAttempts: 0,
+                lastFailedLoginAt: null,
+                lockedUntil: null,
+            })
+            .where(eq(users.id, userId))
+            .returning();
+        return result[0];
+    }
+
+    // Rate limiter operations
+    // Counts a hit in the key's current window, starting a new window if the old one has ended
+    async incrementRateLimit(key, windowMs) {
+        const now = new Date();
+        const resetAt = new Date(now.getTime() + windowMs);
+        const result = await db.insert(rateLimitBuckets)
+            .values({ key, hits: 1, resetAt })
+            .onConflictDoUpdate({
+                target: rateLimitBuckets.key,
+                set: {
+                    hits: sql`CASE WHEN ${rateLimitBuckets.resetAt} <= ${now} THEN 1 ELSE ${rateLimitBuckets.hits} + 1 END`,
+                    resetAt: sql`CASE WHEN ${rateLimitBuckets.resetAt} <= ${now} THEN ${resetAt} ELSE ${rateLimitBuckets.resetAt} END`,
+                },
+            })
+            .returning();
+        return result[0];
+    }
+    async getRateLimit(key) {
+        const result = await db.select().from(rateLimitBuckets)
+            .where(and(eq(rateLimitBuckets.key, key), gte(rateLimitBuckets.resetAt, new Date())))
+            .limit(1);
+        return result[0];
+    }
+    async decrementRateLimit(key) {
+        await db.update(rateLimitBuckets)
+            .set({ hits: sql`GREATEST(${rateLimitBuckets.hits} - 1, 0)` })
+            .where(eq(rateLimitBuckets.key, key));
+    }
+    async resetRateLimit(key) {
+        await db.delete(rateLimitBuckets).where(eq(rateLimitBuckets.key, key));
+    }
+    async pruneRateLimits() {
+        await db.delete(rateLimitBuckets).where(lt(rateLimitBuckets.resetAt, new Date()));
+    }
+
+    // Email token operations
+    async createUserToken(insertToken) {
+        const result = await db.insert(userTokens).values({
+            userId: insertToken.userId,
+            purpose: insertToken.purpose,
+            tokenHash: insertToken.tokenHash,
+            expiresAt: insertToken.expiresAt,
+        }).returning();
+        return result[0];
+    }
+    // Marks a valid token as used and returns it; undefined if it is unknown, expired or already used
+    async consumeUserToken(tokenHash, purpose) {
+        const result = await db.update(userTokens)
+            .set({ usedAt: new Date() })
+            .where(and(
+                eq(userTokens.tokenHash, tokenHash),
+                eq(userTokens.purpose, purpose),
+                isNull(userTokens.usedAt),
+                gte(userTokens.expiresAt, new Date()),
+            ))
+            .returning();
+        return result[0];
+    }
+    // Expires every outstanding token of one purpose, e.g. before sending a new reset link
+    async invalidateUserTokens(userId, purpose) {
+        await db.update(userTokens)
+            .set({ usedAt: new Date() })
+            .where(and(eq(userTokens.userId, userId), eq(userTokens.purpose, purpose), isNull(userTokens.usedAt)));
+    }
+
+    // Session operations
+    async incrementTokenVersion(userId) {
+        const result = await db.update(users)
+            .set({ tokenVersion: sql`${users.tokenVersion} + 1` })
+            .where(eq(users.id, userId))
+            .returning();
+        return result[0];
+    }
+    async createRefreshToken(insertToken) {
+        const result = await db.insert(refreshTokens).values({
+            userId: insertToken.userId,
+            tokenHash: insertToken.tokenHash,
+            familyId: insertToken.familyId,
+            expiresAt: insertToken.expiresAt,
+        }).returning();
+        return result[0];
+    }
+    async getRefreshTokenByHash(tokenHash) {
+        const result = await db.select().from(refreshTokens).where(eq(refreshTokens.tokenHash, tokenHash)).limit(1);
+        return result[0];
+    }
+    // Returns the revoked row, or undefined if it was already revoked
+    async revokeRefreshToken(id) {
+        const result = await db.update(refreshTokens)
+            .set({ revokedAt: new Date() })
+            .where(and(eq(refreshTokens.id, id), isNull(refreshTokens.revokedAt)))
+            .returning();
+        return result[0];
+    }
+    async setRefreshTokenReplacement(id, replacedBy) {
+        await db.update(refreshTokens).set({ replacedBy }).where(eq(refreshTokens.id, id));
+    }
+    async revokeRefreshTokenFamily(familyId) {
+        await db.update(refreshTokens)
+            .set({ revokedAt: new Date() })
+            .where(and(eq(refreshTokens.familyId, familyId), isNull(refreshTokens.revokedAt)));
+    }
+    async revokeAllRefreshTokens(userId) {
+        await db.update(refreshTokens)
+            .set({ revokedAt: new Date() })
+            .where(and(eq(refreshTokens.userId, userId), isNull(refreshTokens.revokedAt)));
+    }
+    // Grant application operations
+    async getApplication(id) {
+        const result = await db.select().from(grantApplications).where(eq(grantApplications.id, id)).limit(1);
+        return result[0];
+    }
+    async getApplicationsByUser(userId) {
+        return await db.select()
+            .from(grantApplications)
+            .where(eq(grantApplications.userId, userId))
+            .orderBy(desc(grantApplications.createdAt));
+    }
+    // Admin queue; drafts stay private to their owner until submitted
+    async getAllApplications() {
+        return await db.select()
+            .from(grantApplications)
+            .where(ne(grantApplications.status, "draft"))
+            .orderBy(desc(grantApplications.createdAt));
+    }
+    // Filtered, sorted and paginated admin list; see applicationListQuerySchema for the options
+    async searchApplications(query = {}) {
+        const applications = await this.getApplicationsPage(query);
+        const [{ total }] = await db.select({ total: sql`count(*)`.mapWith(Number) })
+            .from(grantApplications)
+            .where(buildApplicationFilters(query));
+        return { applications, total };
+    }
+    async getApplicationsPage({ sort = "createdAt", order = "desc", limit = 20, offset = 0, ...filters } = {}) {
+        const direction = order === "asc" ? asc : desc;
+        return await db.select()
+            .from(grantApplications)
+            .where(buildApplicationFilters(filters))
+            // The id tie-breaker keeps pages stable when many rows share a sort value
+            .orderBy(direction(grantApplications[sort]), direction(grantApplications.id))
+            .limit(limit)
+            .offset(offset);
+    }
+    // Funding and decision metrics for the admin dashboard, all computed in SQL.
+    // "Submitted" is submittedAt, set on every non-draft row (migration 0002 backfilled older rows from
+    // createdAt), so later edits never move an application between periods.
+    async getApplicationStats({ from, to } = {}) {
+        const submittedAt = grantApplications.submittedAt;
+        const conditions = [ne(grantApplications.status, "draft")];
+        if (from) {
+            conditions.push(gte(submittedAt, from));
+        }
+        if (to) {
+            conditions.push(lte(submittedAt, to));
+        }
+        const where = and(...conditions);
+        const byStatus = await db.select({
+            status: grantApplications.status,
+            count: sql`count(*)`.mapWith(Number),
+        })
+            .from(grantApplications)
+            .where(where)
+            .groupBy(grantApplications.status);
+        const byGrantType = await db.select({
+            grantType: grantApplications.grantType,
+            count: sql`count(*)`.mapWith(Number),
+            totalRequested: sql`coalesce(sum(${grantApplications.requestedAmount}), 0)`.mapWith(Number),
+            totalDisbursement: sql`coalesce(sum(${grantApplications.disbursementAmount}) filter (where ${grantApplications.status} = 'approved'), 0)`.mapWith(Number),
+        })
+            .from(grantApplications)
+            .where(where)
+            .groupBy(grantApplications.grantType)
+            .orderBy(asc(grantApplications.grantType));
+        // First approval or rejection in the history. Rows decided before history existed have none and
+        // are left out, since updatedAt moves with every later edit.
+        const decidedAt = sql`(
+            select min(${applicationStatusHistory.createdAt}) from ${applicationStatusHistory}
+            where ${applicationStatusHistory.applicationId} = ${grantApplications.id}
+            and ${applicationStatusHistory.toStatus} in ('approved', 'rejected')
+        )`;
+        const decisionDays = sql`extract(epoch from (${decidedAt} - ${submittedAt})) / 86400`;
+        const [decisionTime] = await db.select({
+            decidedCount: sql`count(*)`.mapWith(Number),
+            averageDays: sql`avg(${decisionDays})`.mapWith(Number),
+            medianDays: sql`percentile_cont(0.5) within group (order by ${decisionDays})`.mapWith(Number),
+        })
+            .from(grantApplications)
+            .where(and(where, inArray(grantApplications.status, ["approved", "rejected"]), isNotNull(decidedAt)));
+        const month = sql`to_char(date_trunc('month', ${submittedAt}), 'YYYY-MM')`;
+        const monthly = await db.select({
+            month,
+            submitted: sql`count(*)`.mapWith(Number),
+            approved: sql`count(*) filter (where ${grantApplications.status} = 'approved')`.mapWith(Number),
+            rejected: sql`count(*) filter (where ${grantApplications.status} = 'rejected')`.mapWith(Number),
+            totalRequested: sql`coalesce(sum(${grantApplications.requestedAmount}), 0)`.mapWith(Number),
+        })
+            .from(grantApplications)
+            .where(where)
+            .groupBy(month)
+            .orderBy(month);
+        return { byStatus, byGrantType, decisionTime, monthly };
+    }
+    async createApplication(insertApplication, { status = "pending" } = {}) {
+        const applicationToInsert = {
+            userId: insertApplication.userId,
+            fullName: insertApplication.fullName,
+            email: insertApplication.email,
+            phoneNumber: insertApplication.phoneNumber,
+            address: insertApplication.address,
+            projectTitle: insertApplication.projectTitle,
+            projectDescription: insertApplication.projectDescription,
+            grantType: insertApplication.grantType,
+            requestedAmount: insertApplication.requestedAmount,
+            fileUrl: insertApplication.fileUrl || "",
+            fileName: insertApplication.fileName || "",
+            status, // "pending" for direct submissions, "draft" for saved partial work
+            adminNotes: "", // Default admin notes
+            disbursementAmount: insertApplication.disbursementAmount || null,
+            paymentMethod: insertApplication.paymentMethod || null,
+            submittedAt: status === "draft" ? null : new Date(),
+        };
+
+        return await db.transaction(async (tx) => {
+            const result = await tx.insert(grantApplications).values(applicationToInsert).returning();
+            if (result.length === 0) {
+                throw new Error("Failed to create application");
+            }
+            await tx.insert(applicationStatusHistory).values({
+                applicationId: result[0].id,
+                fromStatus: null,
+                toStatus: result[0].status,
+                changedBy: result[0].userId,
+            });
+            return result[0];
+        });
+    }
+    async updateDraftApplication(id, updates) {
+        const result = await db
+            .update(grantApplications)
+            .set({ ...updates, updatedAt: new Date() })
+            .where(and(eq(grantApplications.id, id), eq(grantApplications.status, "draft")))
+            .returning();
+        if (result.length === 0) {
+            throw new Error("Application is not a draft");
+        }
+        return result[0];
+    }
+    async submitDraftApplication(id, userId) {
+        return await db.transaction(async (tx) => {
+            const result = await tx
+                .update(grantApplications)
+                .set({ status: "pending", submittedAt: new Date(), updatedAt: new Date() })
+                .where(and(eq(grantApplications.id, id), eq(grantApplications.status, "draft")))
+                .returning();
+            if (result.length === 0) {
+                throw new Error("Application is not a draft");
+            }
+            await tx.insert(applicationStatusHistory).values({
+                applicationId: id,
+                fromStatus: "draft",
+                toStatus: "pending",
+                changedBy: userId,
+            });
+            return result[0];
+        });
+    }
+    // Inserts every application or none; rows are already validated and carry their own status
+    async importApplications(insertApplications, importedBy) {
+        return await db.transaction(async (tx) => {
+            const created = [];
+            for (const insertApplication of insertApplications) {
+                const result = await tx.insert(grantApplications).values({
+                    userId: insertApplication.userId,
+                    fullName: insertApplication.fullName,
+                    email: insertApplication.email,
+                    phoneNumber: insertApplication.phoneNumber,
+                    address: insertApplication.address,
+                    projectTitle: insertApplication.projectTitle,
+                    projectDescription: insertApplication.projectDescription,
+                    grantType: insertApplication.grantType,
+                    requestedAmount: insertApplication.requestedAmount,
+                    fileUrl: "",
+                    fileName: "",
+                    status: insertApplication.status,
+                    adminNotes: insertApplication.adminNotes || "",
+                    disbursementAmount: insertApplication.disbursementAmount || null,
+                    paymentMethod: insertApplication.paymentMethod || null,
+                    submittedAt: new Date(),
+                }).returning();
+                await tx.insert(applicationStatusHistory).values({
+                    applicationId: result[0].id,
+                    fromStatus: null,
+                    toStatus: result[0].status,
+                    changedBy: importedBy,
+                    note: "Imported from CSV",
+                });
+                created.push(result[0]);
+            }
+            return created;
+        });
+    }
+    // Callers check the transition is allowed; fromStatus guards against a concurrent change
+    async updateApplicationStatus(id, fromStatus, status, adminNotes, disbursementAmount, changedBy) {
+        const updateData = {
+            status,
+            updatedAt: new Date(),
+        };
+        // Keep earlier notes unless new ones are given; every note is also kept in the history
+        if (adminNotes !== undefined) {
+            updateData.adminNotes = adminNotes;
+        }
+        // Only add disbursementAmount if it's provided
+        if (disbursementAmount !== undefined) {
+            updateData.disbursementAmount = disbursementAmount;
+        }
+        return await db.transaction(async (tx) => {
+            const result = await tx
+                .update(grantApplications)
+                .set(updateData)
+                .where(and(eq(grantApplications.id, id), eq(grantApplications.status, fromStatus)))
+                .returning();
+            if (result.length === 0) {
+                throw new Error("Application status has changed");
+            }
+            await tx.insert(applicationStatusHistory).values({
+                applicationId: id,
+                fromStatus,
+                toStatus: status,
+                changedBy,
+                note: adminNotes || null,
+            });
+            return result[0];
+        });
+    }
+    async getApplicationStatusHistory(applicationId) {
+        return await db.select({
+            id: applicationStatusHistory.id,
+            applicationId: applicationStatusHistory.applicationId,
+            fromStatus: applicationStatusHistory.fromStatus,
+            toStatus: applicationStatusHistory.toStatus,
+            changedBy: applicationStatusHistory.changedBy,
+            changedByName: users.fullName,
+            changedByRole: users.role,
+            note: applicationStatusHistory.note,
+            createdAt: applicationStatusHistory.createdAt,
+        })
+            .from(applicationStatusHistory)
+            .leftJoin(users, eq(users.id, applicationStatusHistory.changedBy))
+            .where(eq(applicationStatusHistory.applicationId, applicationId))
+            .orderBy(asc(applicationStatusHistory.createdAt));
+    }
+    async updatePaymentMethod(id, paymentMethod) {
+        const result = await db
+            .update(grantApplications)
+            .set({ paymentMethod, updatedAt: new Date() })
+            .where(eq(grantApplications.id, id))
+            .returning();
+        if (result.length === 0) {
+            throw new Error("Application not found");
+        }
+        return result[0];
+    }
+
+    // Grant program operations
+    async getGrantPrograms({ includeArchived = false } = {}) {
+        const query = db.select().from(grantPrograms).orderBy(asc(grantPrograms.name)).$dynamic();
+        return includeArchived ? await query : await query.where(eq(grantPrograms.status, "active"));
+    }
+    async getGrantProgram(id) {
+        const result = await db.select().from(grantPrograms).where(eq(grantPrograms.id, id)).limit(1);
+        return result[0];
+    }
+    async getGrantProgramBySlug(slug) {
+        const result = await db.select().from(grantPrograms).where(eq(grantPrograms.slug, slug)).limit(1);
+        return result[0];
+    }
+    async createGrantProgram(insertProgram) {
+        const programToInsert = {
+            slug: insertProgram.slug,
+            name: insertProgram.name,
+            description: insertProgram.description || null,
+            icon: insertProgram.icon || null,
+            minAmount: insertProgram.minAmount,
+            maxAmount: insertProgram.maxAmount,
+            opensAt: insertProgram.opensAt || null,
+            closesAt: insertProgram.closesAt || null,
+            status: insertProgram.status || "active",
+        };
+        const result = await db.insert(grantPrograms).values(programToInsert).returning();
+        if (result.length > 0) {
+            return result[0];
+        }
+        else {
+            throw new Error("Failed to create grant program");
+        }
+    }
+    async updateGrantProgram(id, updates) {
+        const result = await db
+            .update(grantPrograms)
+            .set({ ...updates, updatedAt: new Date() })
+            .where(eq(grantPrograms.id, id))
+            .returning();
+        if (result.length === 0) {
+            throw new Error("Grant program not found");
+        }
+        return result[0];
+    }
+
+    // Document operations
+    async getApplicationDocuments(applicationId) {
+        return await db.select()
+            .from(applicationDocuments)
+            .where(eq(applicationDocuments.applicationId, applicationId))
+            .orderBy(asc(applicationDocuments.createdAt));
+    }
+    async getApplicationDocument(applicationId, documentId) {
+        const result = await db.select()
+            .from(applicationDocuments)
+            .where(and(eq(applicationDocuments.id, documentId), eq(applicationDocuments.applicationId, applicationId)))
+            .limit(1);
+        return result[0];
+    }
+    async createApplicationDocument(insertDocument) {
+        const result = await db.insert(applicationDocuments).values({
+            applicationId: insertDocument.applicationId,
+            uploadedBy: insertDocument.uploadedBy,
+            fileName: insertDocument.fileName,
+            mimeType: insertDocument.mimeType,
+            size: insertDocument.size,
+            storageDriver: insertDocument.storageDriver,
+            storageKey: insertDocument.storageKey,
+        }).returning();
+        if (result.length > 0) {
+            return result[0];
+        }
+        else {
+            throw new Error("Failed to create document");
+        }
+    }
+    async deleteApplicationDocument(id) {
+        const result = await db.delete(applicationDocuments).where(eq(applicationDocuments.id, id)).returning();
+        if (result.length === 0) {
+            throw new Error("Document not found");
+        }
+        return result[0];
+    }
+
+    // Rubric operations
+    async getRubricCriteria(grantType) {
+        return await db.select()
+            .from(rubricCriteria)
+            .where(eq(rubricCriteria.grantType, grantType))
+            .orderBy(asc(rubricCriteria.position));
+    }
+    async replaceRubricCriteria(grantType, criteria) {
+        return await db.transaction(async (tx) => {
+            await tx.delete(rubricCriteria).where(eq(rubricCriteria.grantType, grantType));
+            return await tx.insert(rubricCriteria).values(criteria.map((criterion, index) => ({
+                grantType,
+                name: criterion.name,
+                description: criterion.description || null,
+                weight: criterion.weight,
+                maxScore: criterion.maxScore,
+                position: index,
+            }))).returning();
+        });
+    }
+    async hasSubmittedReviewsForGrantType(grantType) {
+        const result = await db.select({ id: applicationReviews.id })
+            .from(applicationReviews)
+            .innerJoin(grantApplications, eq(grantApplications.id, applicationReviews.applicationId))
+            .where(and(eq(grantApplications.grantType, grantType), isNotNull(applicationReviews.submittedAt)))
+            .limit(1);
+        return result.length > 0;
+    }
+
+    // Review operations
+    async getApplicationReview(applicationId, reviewerId) {
+        const result = await db.select()
+            .from(applicationReviews)
+            .where(and(eq(applicationReviews.applicationId, applicationId), eq(applicationReviews.reviewerId, reviewerId)))
+            .limit(1);
+        return result[0];
+    }
+    async getApplicationReviews(applicationId) {
+        return await db.select({
+            id: applicationReviews.id,
+            applicationId: applicationReviews.applicationId,
+            reviewerId: applicationReviews.reviewerId,
+            reviewerName: users.fullName,
+            assignedBy: applicationReviews.assignedBy,
+            scores: applicationReviews.scores,
+            weightedScore: applicationReviews.weightedScore,
+            comment: applicationReviews.comment,
+            submittedAt: applicationReviews.submittedAt,
+            createdAt: applicationReviews.createdAt,
+        })
+            .from(applicationReviews)
+            .leftJoin(users, eq(users.id, applicationReviews.reviewerId))
+            .where(eq(applicationReviews.applicationId, applicationId))
+            .orderBy(asc(applicationReviews.createdAt));
+    }
+    async getReviewAssignments(reviewerId) {
+        return await db.select({
+            review: applicationReviews,
+            application: grantApplications,
+        })
+            .from(applicationReviews)
+            .innerJoin(grantApplications, eq(grantApplications.id, applicationReviews.applicationId))
+            .where(eq(applicationReviews.reviewerId, reviewerId))
+            .orderBy(desc(applicationReviews.createdAt));
+    }
+    async assignReviewer(applicationId, reviewerId, assignedBy) {
+        const result = await db.insert(applicationReviews)
+            .values({ applicationId, reviewerId, assignedBy })
+            .onConflictDoNothing()
+            .returning();
+        if (result.length === 0) {
+            throw new Error("Reviewer already assigned");
+        }
+        return result[0];
+    }
+    async removeReviewer(applicationId, reviewerId) {
+        const result = await db.delete(applicationReviews)
+            .where(and(eq(applicationReviews.applicationId, applicationId), eq(applicationReviews.reviewerId, reviewerId)))
+            .returning();
+        if (result.length === 0) {
+            throw new Error("Reviewer not assigned");
+        }
+        return result[0];
+    }
+    async submitReview(id, { scores, weightedScore, comment }) {
+        const result = await db.update(applicationReviews)
+            .set({
+                scores,
+                weightedScore,
+                comment: comment || null,
+                submittedAt: new Date(),
+                updatedAt: new Date(),
+            })
+            .where(eq(applicationReviews.id, id))
+            .returning();
+        if (result.length === 0) {
+            throw new Error("Review not found");
+        }
+        return result[0];
+    }
+
+    // Disbursement operations
+    async getDisbursementsByApplication(applicationId) {
+        return await db.select()
+            .from(disbursements)
+            .where(eq(disbursements.applicationId, applicationId))
+            .orderBy(asc(disbursements.dueDate), asc(disbursements.createdAt));
+    }
+    async getDisbursement(id) {
+        const result = await db.select().from(disbursements).where(eq(disbursements.id, id)).limit(1);
+        return result[0];
+    }
+    // Locks the application while checking the balance so two tranches cannot overdraw it concurrently
+    async createDisbursement(insertDisbursement, approvedAmount) {
+        return await db.transaction(async (tx) => {
+            await tx.select({ id: grantApplications.id })
+                .from(grantApplications)
+                .where(eq(grantApplications.id, insertDisbursement.applicationId))
+                .for("update");
+            const [{ committed }] = await tx.select({
+                committed: sql`coalesce(sum(${disbursements.amount}), 0)`.mapWith(Number),
+            })
+                .from(disbursements)
+                .where(and(eq(disbursements.applicationId, insertDisbursement.applicationId), ne(disbursements.status, "failed")));
+            if (committed + insertDisbursement.amount > approvedAmount) {
+                throw new Error("Disbursement exceeds remaining balance");
+            }
+            const result = await tx.insert(disbursements).values({
+                applicationId: insertDisbursement.applicationId,
+                amount: insertDisbursement.amount,
+                dueDate: insertDisbursement.dueDate,
+                method: insertDisbursement.method,
+                notes: insertDisbursement.notes || null,
+                recordedBy: insertDisbursement.recordedBy,
+            }).returning();
+            return result[0];
+        });
+    }
+    // fromStatus guards against a concurrent status change
+    async updateDisbursement(id, fromStatus, updates) {
+        const result = await db.update(disbursements)
+            .set({ ...updates, updatedAt: new Date() })
+            .where(and(eq(disbursements.id, id), eq(disbursements.status, fromStatus)))
+            .returning();
+        if (result.length === 0) {
+            throw new Error("Disbursement status has changed");
+        }
+        return result[0];
+    }
+
+    // Bank account operations (values arrive and leave encrypted)
+    async getBankAccountByApplication(applicationId) {
+        const result = await db.select().from(bankAccounts).where(eq(bankAccounts.applicationId, applicationId)).limit(1);
+        return result[0];
+    }
+    async upsertBankAccount(insertAccount) {
+        const values = {
+            applicationId: insertAccount.applicationId,
+            userId: insertAccount.userId,
+            accountHolderEncrypted: insertAccount.accountHolderEncrypted,
+            bankNameEncrypted: insertAccount.bankNameEncrypted,
+            accountNumberEncrypted: insertAccount.accountNumberEncrypted,
+            routingCodeEncrypted: insertAccount.routingCodeEncrypted,
+        };
+        const { applicationId, ...updates } = values;
+        const result = await db.insert(bankAccounts)
+            .values(values)
+            .onConflictDoUpdate({ target: bankAccounts.applicationId, set: { ...updates, updatedAt: new Date() } })
+            .returning();
+        return result[0];
+    }
+    async logBankAccountAccess(entry) {
+        const result = await db.insert(bankAccountAccessLog).values({
+            bankAccountId: entry.bankAccountId,
+            applicationId: entry.applicationId,
+            accessedBy: entry.accessedBy,
+            reason: entry.reason,
+        }).returning();
+        return result[0];
+    }
+    async getBankAccountAccessLog(applicationId) {
+        return await db.select({
+            id: bankAccountAccessLog.id,
+            bankAccountId: bankAccountAccessLog.bankAccountId,
+            accessedBy: bankAccountAccessLog.accessedBy,
+            accessedByName: users.fullName,
+            reason: bankAccountAccessLog.reason,
+            createdAt: bankAccountAccessLog.createdAt,
+        })
+            .from(bankAccountAccessLog)
+            .leftJoin(users, eq(users.id, bankAccountAccessLog.accessedBy))
+            .where(eq(bankAccountAccessLog.applicationId, applicationId))
+            .orderBy(desc(bankAccountAccessLog.createdAt));
+    }
+
+    // Notification operations
+    async createNotification(insertNotification) {
+        const result = await db.insert(notifications).values({
+            userId: insertNotification.userId,
+            type: insertNotification.type,
+            title: insertNotification.title,
+            body: insertNotification.body,
+            data: insertNotification.data || null,
+        }).returning();
+        return result[0];
+    }
+    async getNotificationsByUser(userId, { before, limit, unreadOnly = false } = {}) {
+        const conditions = [eq(notifications.userId, userId)];
+        if (before) {
+            conditions.push(lt(notifications.createdAt, before));
+        }
+        if (unreadOnly) {
+            conditions.push(isNull(notifications.readAt));
+        }
+        const query = db.select()
+            .from(notifications)
+            .where(and(...conditions))
+            .orderBy(desc(notifications.createdAt))
+            .$dynamic();
+        return limit ? await query.limit(limit) : await query;
+    }
+    async countUnreadNotifications(userId) {
+        const [{ count }] = await db.select({ count: sql`count(*)`.mapWith(Number) })
+            .from(notifications)
+            .where(and(eq(notifications.userId, userId), isNull(notifications.readAt)));
+        return count;
+    }
+    async markNotificationRead(id, userId) {
+        const result = await db.update(notifications)
+            .set({ readAt: sql`coalesce(${notifications.readAt}, now())` })
+            .where(and(eq(notifications.id, id), eq(notifications.userId, userId)))
+            .returning();
+        if (result.length === 0) {
+            throw new Error("Notification not found");
+        }
+        return result[0];
+    }
+    async markAllNotificationsRead(userId) {
+        const result = await db.update(notifications)
+            .set({ readAt: new Date() })
+            .where(and(eq(notifications.userId, userId), isNull(notifications.readAt)))
+            .returning({ id: notifications.id });
+        return result.length;
+    }
+    async createOutboxMessage(insertMessage) {
+        const result = await db.insert(notificationOutbox).values({
+            userId: insertMessage.userId || null,
+            template: insertMessage.template,
+            recipient: insertMessage.recipient,
+            subject: insertMessage.subject,
+            body: insertMessage.body,
+        }).returning();
+        return result[0];
+    }
+    async getDueOutboxMessages(limit) {
+        return await db.select()
+            .from(notificationOutbox)
+            .where(and(eq(notificationOutbox.status, "pending"), lte(notificationOutbox.nextAttemptAt, new Date())))
+            .orderBy(asc(notificationOutbox.nextAttemptAt))
+            .limit(limit);
+    }
+    // Takes a lease on a due message so concurrent workers do not send it twice
+    async claimOutboxMessage(id, leaseUntil) {
+        const result = await db.update(notificationOutbox)
+            .set({ nextAttemptAt: leaseUntil, attempts: sql`${notificationOutbox.attempts} + 1` })
+            .where(and(
+                eq(notificationOutbox.id, id),
+                eq(notificationOutbox.status, "pending"),
+                lte(notificationOutbox.nextAttemptAt, new Date()),
+            ))
+            .returning();
+        return result[0];
+    }
+    async updateOutboxMessage(id, updates) {
+        const result = await db.update(notificationOutbox)
+            .set(updates)
+            .where(eq(notificationOutbox.id, id))
+            .returning();
+        return result[0];
+    }
+
+    // Chat message operations
+    // Messages are grouped into one conversation per applicant: userId is always the
+    // applicant's id, and senderRole/senderId tell who wrote the message.
+    // Pass `before` (a Date) and `limit` to page backwards; results are always oldest first.
+    async getChatMessagesByUser(userId, { before, limit } = {}) {
+        const conditions = [eq(chatMessages.userId, userId)];
+        if (before) {
+            conditions.push(lt(chatMessages.createdAt, before));
+        }
+        const query = db.select()
+            .from(chatMessages)
+            .where(and(...conditions))
+            .orderBy(desc(chatMessages.createdAt))
+            .$dynamic();
+        const result = limit ? await query.limit(limit) : await query;
+        return result.reverse();
+    }
+    async getAllChatMessages({ limit } = {}) {
+        const query = db.select()
+            .from(chatMessages)
+            .orderBy(desc(chatMessages.createdAt))
+            .$dynamic();
+        const result = limit ? await query.limit(limit) : await query;
+        return result.reverse();
+    }
+    async getChatConversations({ limit = 20, offset = 0 } = {}) {
+        const lastMessageAt = sql`max(${chatMessages.createdAt})`;
+        const conversations = await db.select({
+            userId: chatMessages.userId,
+            fullName: users.fullName,
+            email: users.email,
+            messageCount: sql`count(*)`.mapWith(Number),
+            lastMessageAt,
+        })
+            .from(chatMessages)
+            .leftJoin(users, eq(users.id, chatMessages.userId))
+            .groupBy(chatMessages.userId, users.fullName, users.email)
+            .orderBy(desc(lastMessageAt))
+            .limit(limit)
+            .offset(offset);
+        const [{ total }] = await db.select({
+            total: sql`count(distinct ${chatMessages.userId})`.mapWith(Number),
+        }).from(chatMessages);
+        return { conversations, total };
+    }
+    async createChatMessage(insertMessage) {
+        const messageToInsert = {
+            userId: insertMessage.userId,
+            senderId: insertMessage.senderId || null,
+            senderRole: insertMessage.senderRole,
+            message: insertMessage.message,
+        };
+        const result = await db.insert(chatMessages).values(messageToInsert).returning();
+        return result[0];
+    }
+}
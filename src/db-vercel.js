@@ -1,20 +1,19 @@
 import { drizzle } from "drizzle-orm/node-postgres";
 import pg from "pg";
-import dotenv from "dotenv";
-// Load environment variables from .env file in development
-if (process.env.NODE_ENV !== "production") {
-    dotenv.config();
-}
-if (!process.env.DATABASE_URL) {
+import { logger } from "./logger.js";
+import { config } from "./config.js";
+// config.js only insists on DATABASE_URL for STORAGE_DRIVER=database, but scripts such as migrate.js import this directly
+if (!config.database.url) {
     throw new Error("DATABASE_URL environment variable is required");
 }
 
-// Masked logging for debugging ENOTFOUND issues
-const dbUrl = process.env.DATABASE_URL;
+const log = logger.child({ component: "db" });
+
+const dbUrl = config.database.url;
 // We handle SSL explicitly to avoid "self signed certificate" errors with managed Postgres
 // Stripping sslmode/pgbouncer from the URL to let pg-pool handle connection details via the config object
 let connectionString = dbUrl;
-const needsSSL = dbUrl.includes("sslmode=require") || process.env.NODE_ENV === "production" || process.env.DB_SSL === "true";
+const needsSSL = dbUrl.includes("sslmode=require") || config.isProduction || config.database.ssl;
 
 try {
     const parsedUrl = new URL(dbUrl);
@@ -23,15 +22,15 @@ try {
     parsedUrl.searchParams.delete("pgbouncer");
     connectionString = parsedUrl.toString();
 } catch (e) {
-    console.error("[DB-DEBUG] Failed to parse DATABASE_URL, using original", e.message);
+    log.warn("Failed to parse DATABASE_URL, using it unchanged", { error: e.message });
 }
 
 
 const poolConfig = {
     connectionString,
-    max: 5,
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 15000,
+    max: config.database.poolMax,
+    idleTimeoutMillis: config.database.idleTimeoutMs,
+    connectionTimeoutMillis: config.database.connectionTimeoutMs,
 };
 
 
@@ -39,23 +38,21 @@ if (needsSSL) {
     poolConfig.ssl = {
         rejectUnauthorized: false
     };
-    console.log("[DB-DEBUG] SSL enabled explicitly (rejectUnauthorized: false)");
+    log.debug("SSL enabled (rejectUnauthorized: false)");
 } else {
-    console.log("[DB-DEBUG] SSL disabled");
+    log.debug("SSL disabled");
 }
 
 
 
-const pool = new pg.Pool(poolConfig);
+export const pool = new pg.Pool(poolConfig);
 
 
-// In production, log notices to help with debugging
-if (process.env.NODE_ENV === "production") {
-    pool.on("connect", () => {
-        console.log("Database connected");
-    });
-    pool.on("error", (err) => {
-        console.error("Database connection error:", err);
-    });
-}
+// Connection notices are debug level now, so they no longer need a production-only guard
+pool.on("connect", () => {
+    log.debug("Database connected");
+});
+pool.on("error", (err) => {
+    log.error("Database connection error", { err });
+});
 export const db = drizzle(pool);
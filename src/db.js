@@ -1,13 +1,11 @@
 import { drizzle } from "drizzle-orm/node-postgres";
 import pg from "pg";
-import dotenv from "dotenv";
-// Load environment variables from .env file
-dotenv.config();
-if (!process.env.DATABASE_URL) {
+import { config } from "./config.js";
+if (!config.database.url) {
     throw new Error("DATABASE_URL environment variable is required");
 }
 // Access Pool from the default export of pg
 const pool = new pg.Pool({
-    connectionString: process.env.DATABASE_URL,
+    connectionString: config.database.url,
 });
 export const db = drizzle(pool);
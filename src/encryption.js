@@ -0,0 +1,50 @@
+// Field-level encryption for sensitive values stored in the database (AES-256-GCM).
+// Every call names the purpose of the value, and each purpose has its own key so rotating one leaves
+// the others readable: "bankDetails" uses BANK_DETAILS_ENCRYPTION_KEY, "totp" uses TOTP_ENCRYPTION_KEY.
+// Keys are 32 bytes, hex or base64 encoded, e.g. `openssl rand -hex 32`, checked at startup by config.js.
+// Ciphertexts are stored as "v1:<iv>:<auth tag>:<data>" so the format can change later.
+import crypto from "crypto";
+import { config, ENCRYPTION_KEY_VARIABLES } from "./config.js";
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+
+function getKey(purpose) {
+    if (!ENCRYPTION_KEY_VARIABLES[purpose]) {
+        throw new Error(`Unknown encryption purpose: ${purpose}`);
+    }
+    if (!config.encryptionKeys[purpose]) {
+        throw new Error(`${ENCRYPTION_KEY_VARIABLES[purpose]} is not configured`);
+    }
+    return config.encryptionKeys[purpose];
+}
+
+export function encrypt(plaintext, purpose) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(purpose), iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+    return [VERSION, iv.toString("base64"), cipher.getAuthTag().toString("base64"), data.toString("base64")].join(":");
+}
+
+export function decrypt(ciphertext, purpose) {
+    const [version, iv, tag, data] = ciphertext.split(":");
+    if (version !== VERSION) {
+        throw new Error("Unsupported ciphertext version");
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(purpose), Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+}
+
+// Keeps the last `visible` characters, e.g. "****1234"
+export function maskTail(value, visible = 4) {
+    if (value.length <= visible) {
+        return "*".repeat(value.length);
+    }
+    return "*".repeat(Math.max(value.length - visible, 4)) + value.slice(-visible);
+}
+
+// Keeps the first letter of each word, e.g. "J*** D**"
+export function maskName(value) {
+    return value.split(/\s+/).filter(Boolean).map((word) => word[0] + "*".repeat(word.length - 1)).join(" ");
+}
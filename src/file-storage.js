@@ -0,0 +1,100 @@
+// Storage drivers for uploaded documents.
+// Every driver implements the same three methods:
+//   save({ buffer, extension, mimeType }) -> storage key
+//   getDownload(key) -> { stream } to pipe to the client, or { redirectUrl } to a short-lived signed URL
+//   remove(key)
+// Documents remember which driver stored them, so switching FILE_STORAGE_DRIVER keeps older files readable.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { v2 as cloudinary } from "cloudinary";
+import { config } from "./config.js";
+
+// How long a signed Cloudinary download link stays valid
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+class LocalDiskDriver {
+    constructor(rootDir) {
+        this.name = "local";
+        this.rootDir = path.resolve(rootDir);
+    }
+    resolve(key) {
+        // Keys are generated by save(), but never let one point outside the upload directory
+        if (path.basename(key) !== key) {
+            throw new Error("Invalid storage key");
+        }
+        return path.join(this.rootDir, key);
+    }
+    async save({ buffer, extension }) {
+        await fs.promises.mkdir(this.rootDir, { recursive: true });
+        const key = `${crypto.randomUUID()}${extension}`;
+        await fs.promises.writeFile(this.resolve(key), buffer);
+        return key;
+    }
+    async getDownload(key) {
+        return { stream: fs.createReadStream(this.resolve(key)) };
+    }
+    async remove(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+}
+
+class CloudinaryDriver {
+    constructor(folder) {
+        this.name = "cloudinary";
+        this.folder = folder;
+        cloudinary.config({
+            cloud_name: config.cloudinary.cloudName,
+            api_key: config.cloudinary.apiKey,
+            api_secret: config.cloudinary.apiSecret,
+        });
+    }
+    save({ buffer, extension }) {
+        return new Promise((resolve, reject) => {
+            // Private raw uploads are only reachable through signed URLs handed out by getDownload
+            const uploadStream = cloudinary.uploader.upload_stream({
+                folder: this.folder,
+                public_id: `${crypto.randomUUID()}${extension}`,
+                resource_type: "raw",
+                type: "private",
+            }, (error, result) => {
+                if (error) {
+                    return reject(error);
+                }
+                resolve(result.public_id);
+            });
+            uploadStream.end(buffer);
+        });
+    }
+    async getDownload(key) {
+        const redirectUrl = cloudinary.utils.private_download_url(key, "", {
+            resource_type: "raw",
+            type: "private",
+            attachment: true,
+            expires_at: Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS,
+        });
+        return { redirectUrl };
+    }
+    async remove(key) {
+        await cloudinary.uploader.destroy(key, { resource_type: "raw", type: "private" });
+    }
+}
+
+const driverFactories = {
+    local: () => new LocalDiskDriver(config.uploads.dir),
+    cloudinary: () => new CloudinaryDriver(config.cloudinary.folder),
+};
+const driverInstances = new Map();
+
+// Cloudinary when it is configured, otherwise the local disk (see config.js)
+export const defaultFileStorageDriver = config.uploads.driver;
+
+export function getFileStorage(name = defaultFileStorageDriver) {
+    if (!driverFactories[name]) {
+        throw new Error(`Unknown file storage driver: ${name}`);
+    }
+    if (!driverInstances.has(name)) {
+        driverInstances.set(name, driverFactories[name]());
+    }
+    return driverInstances.get(name);
+}
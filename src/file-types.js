@@ -0,0 +1,41 @@
+// Proposal/budget document types accepted for upload.
+// The type is detected from the file's leading bytes and must agree with its extension,
+// so a renamed executable or image is refused even if the browser labels it as a PDF.
+import path from "path";
+
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+export const documentTypes = {
+    pdf: { extension: ".pdf", mimeType: "application/pdf" },
+    doc: { extension: ".doc", mimeType: "application/msword" },
+    docx: { extension: ".docx", mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" },
+};
+
+function sniffDocumentType(buffer) {
+    if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") {
+        return "pdf";
+    }
+    // Legacy Word files are OLE2 containers holding a "WordDocument" stream (other Office formats share the container)
+    if (buffer.subarray(0, 8).equals(OLE2_SIGNATURE) && buffer.includes(Buffer.from("WordDocument", "utf16le"))) {
+        return "doc";
+    }
+    // .docx is a zip archive whose entries live under word/
+    if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE) && buffer.includes("word/")) {
+        return "docx";
+    }
+    return null;
+}
+
+// Returns the matching entry of documentTypes, or null if the content or extension is not allowed
+export function detectDocumentType(buffer, originalName) {
+    const type = sniffDocumentType(buffer);
+    if (!type) {
+        return null;
+    }
+    const extension = path.extname(originalName || "").toLowerCase();
+    if (extension !== documentTypes[type].extension) {
+        return null;
+    }
+    return { type, ...documentTypes[type] };
+}
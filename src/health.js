@@ -0,0 +1,83 @@
+// Liveness, readiness and graceful shutdown.
+// /healthz only says the process is serving requests. /readyz also checks that storage answers and
+// that no migrations are pending, and fails once shutdown has begun so load balancers stop routing
+// here while open requests finish.
+import { storage } from "./storage.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ component: "health" });
+
+// A probe must answer quickly even while the pool is still waiting for a connection
+const CHECK_TIMEOUT_MS = 5 * 1000;
+
+let shuttingDown = false;
+const shutdownHooks = [];
+
+export function isShuttingDown() {
+    return shuttingDown;
+}
+
+// Runs when shutdown begins, before waiting for open HTTP requests, e.g. to close WebSockets
+export function onShutdown(hook) {
+    shutdownHooks.push(hook);
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Returns { ready, checks }. Failure details are logged rather than returned, since the probe is public.
+export async function checkReadiness() {
+    const checks = {};
+    try {
+        await withTimeout(storage.ping(), CHECK_TIMEOUT_MS);
+        checks.database = "ok";
+    } catch (error) {
+        log.error("Readiness check: storage unreachable", { err: error });
+        checks.database = "unreachable";
+    }
+    if (checks.database === "ok") {
+        try {
+            const pending = await withTimeout(storage.getPendingMigrations(), CHECK_TIMEOUT_MS);
+            checks.migrations = pending.length === 0 ? "ok" : `${pending.length} pending`;
+        } catch (error) {
+            log.error("Readiness check: migration status unavailable", { err: error });
+            checks.migrations = "unknown";
+        }
+    }
+    if (shuttingDown) {
+        checks.shutdown = "in progress";
+    }
+    const ready = !shuttingDown && checks.database === "ok" && checks.migrations === "ok";
+    return { ready, checks };
+}
+
+// Stops accepting connections, runs the shutdown hooks, waits up to timeoutMs for open requests to
+// finish (then cuts them off) and finally closes storage
+export async function shutdown(server, { timeoutMs = 10 * 1000 } = {}) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    log.info("Shutting down", { timeoutMs });
+    const closed = new Promise((resolve) => server.close(resolve));
+    for (const hook of shutdownHooks) {
+        try {
+            await hook();
+        } catch (error) {
+            log.error("Shutdown hook failed", { err: error });
+        }
+    }
+    const timer = setTimeout(() => {
+        log.warn("Requests still open at the shutdown deadline, closing them");
+        server.closeAllConnections();
+    }, timeoutMs);
+    await closed;
+    clearTimeout(timer);
+    await storage.close();
+    log.info("Shutdown complete");
+}
@@ -0,0 +1,116 @@
+// Structured logging: every entry is one JSON line with time, level, msg, the current request's id
+// and any extra fields. LOG_LEVEL (debug, info, warn, error or silent; default info) drops quieter
+// entries. Fields named in REDACTED_FIELDS or LOG_REDACT_FIELDS (comma separated) are masked at
+// any depth, so applicant details and credentials never reach the logs.
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import { config } from "./config.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED_FIELDS = [
+    "password", "currentPassword", "newPassword", "token", "refreshToken", "challengeToken",
+    "authorization", "cookie", "secret", "recoveryCodes",
+    "email", "fullName", "phoneNumber", "address",
+    "accountHolder", "accountNumber", "routingCode", "bankName",
+];
+
+const redactedFields = new Set(
+    [...REDACTED_FIELDS, ...config.log.redactFields].map((field) => field.toLowerCase()),
+);
+
+let minLevel = LEVELS[config.log.level];
+
+export function setLogLevel(level) {
+    if (LEVELS[level] === undefined) {
+        throw new Error(`Unknown log level: ${level}`);
+    }
+    minLevel = LEVELS[level];
+}
+
+// Holds { requestId } for the request being handled, across awaits
+const requestContext = new AsyncLocalStorage();
+
+// Copies a value for logging: masks sensitive fields, expands errors and breaks cycles
+export function redact(value, seen = new WeakSet()) {
+    if (value instanceof Error) {
+        const { name, message, stack, code } = value;
+        return redact({ name, message, code, stack }, seen);
+    }
+    if (value === null || typeof value !== "object" || value instanceof Date) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return "[Circular]";
+    }
+    seen.add(value);
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, seen));
+    }
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) {
+            continue;
+        }
+        copy[key] = redactedFields.has(key.toLowerCase()) ? "[REDACTED]" : redact(item, seen);
+    }
+    return copy;
+}
+
+function write(level, bindings, msg, fields) {
+    if (LEVELS[level] < minLevel) {
+        return;
+    }
+    const entry = redact({
+        time: new Date().toISOString(),
+        level,
+        msg,
+        requestId: requestContext.getStore()?.requestId,
+        ...bindings,
+        ...fields,
+    });
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + "\n");
+}
+
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write("debug", bindings, msg, fields),
+        info: (msg, fields) => write("info", bindings, msg, fields),
+        warn: (msg, fields) => write("warn", bindings, msg, fields),
+        error: (msg, fields) => write("error", bindings, msg, fields),
+        // A logger that adds the given fields, e.g. { component: "ws" }, to every entry
+        child: (extra) => createLogger({ ...bindings, ...extra }),
+    };
+}
+
+export const logger = createLogger();
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Gives each request an id (reusing a well-formed X-Request-Id from a proxy), echoes it in the
+// response header and logs method, path, status and duration once the response is sent.
+// Bodies and query strings are never logged.
+export function requestLogger() {
+    const httpLogger = logger.child({ component: "http" });
+    return (req, res, next) => {
+        const incoming = req.get("X-Request-Id");
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.id = requestId;
+        res.setHeader("X-Request-Id", requestId);
+
+        const start = process.hrtime.bigint();
+        res.on("finish", () => {
+            const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+            const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+            httpLogger[level]("Request completed", {
+                requestId,
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10,
+            });
+        });
+        requestContext.run({ requestId }, next);
+    };
+}
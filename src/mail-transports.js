@@ -0,0 +1,75 @@
+// Outgoing email transports.
+// Every transport exposes send({ to, subject, text }) and rejects when the message was not accepted.
+//   smtp - real delivery through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   log  - logs that a message was dropped (recipient redacted, subject only), the default when SMTP
+//          is not configured. Production refuses to start with log or file (see config.js)
+//   file - appends each message as a JSON line to MAIL_FILE_PATH, handy for local testing
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+import { logger } from "./logger.js";
+import { config } from "./config.js";
+
+const MAIL_FROM = config.mail.from;
+
+function createSmtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: config.mail.smtp.host,
+        port: config.mail.smtp.port,
+        secure: config.mail.smtp.secure,
+        auth: config.mail.smtp.user ? { user: config.mail.smtp.user, pass: config.mail.smtp.pass } : undefined,
+    });
+    return {
+        name: "smtp",
+        async send({ to, subject, text }) {
+            await transporter.sendMail({ from: MAIL_FROM, to, subject, text });
+        },
+    };
+}
+
+function createLogTransport() {
+    return {
+        name: "log",
+        async send({ to, subject }) {
+            // The text holds reset, invite and verification tokens, so it never reaches the log;
+            // use the file transport to read the links locally
+            logger.info("Email not sent (log transport)", { component: "mail", email: to, subject });
+        },
+    };
+}
+
+function createFileTransport() {
+    const filePath = path.resolve(config.mail.filePath);
+    return {
+        name: "file",
+        async send({ to, subject, text }) {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const entry = { from: MAIL_FROM, to, subject, text, sentAt: new Date().toISOString() };
+            await fs.promises.appendFile(filePath, JSON.stringify(entry) + "\n");
+        },
+    };
+}
+
+const transportFactories = {
+    smtp: createSmtpTransport,
+    log: createLogTransport,
+    file: createFileTransport,
+};
+
+let transport;
+
+export function getMailTransport() {
+    if (!transport) {
+        const name = config.mail.transport;
+        if (!transportFactories[name]) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        transport = transportFactories[name]();
+    }
+    return transport;
+}
+
+// Lets tests and scripts swap in their own transport
+export function setMailTransport(customTransport) {
+    transport = customTransport;
+}
@@ -0,0 +1,918 @@
+// In-process storage with the same methods and return shapes as DatabaseStorage.
+// Used by the test suite and for running the API without a database (STORAGE_DRIVER=memory);
+// everything is lost when the process exits.
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { grantTypes } from "../shared/schema.js";
+import { logger } from "./logger.js";
+import { config } from "./config.js";
+
+const log = logger.child({ component: "storage" });
+
+// Rows are copied in and out so callers never hold a reference into the store, as with a database
+function copy(row) {
+    return row ? { ...row } : row;
+}
+
+// Newest first; rows created in the same millisecond keep their insertion order reversed
+function newestFirst(rows, field = "createdAt") {
+    return [...rows].reverse().sort((a, b) => b[field] - a[field]);
+}
+
+function oldestFirst(rows, field = "createdAt") {
+    return [...rows].sort((a, b) => a[field] - b[field]);
+}
+
+// Postgres ordering: nulls sort after every value ascending and before every value descending
+function compareValues(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === null || a === undefined) {
+        return 1;
+    }
+    if (b === null || b === undefined) {
+        return -1;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function containsIgnoringCase(value, search) {
+    return typeof value === "string" && value.toLowerCase().includes(search.toLowerCase());
+}
+
+// Same rules as buildApplicationFilters in database-storage.js; drafts are never included
+export function matchesApplicationFilters(application, filters = {}) {
+    if (application.status === "draft") {
+        return false;
+    }
+    if (filters.status && filters.status.length > 0 && !filters.status.includes(application.status)) {
+        return false;
+    }
+    if (filters.grantType && application.grantType !== filters.grantType) {
+        return false;
+    }
+    if (filters.minAmount !== undefined && !(application.requestedAmount >= filters.minAmount)) {
+        return false;
+    }
+    if (filters.maxAmount !== undefined && !(application.requestedAmount <= filters.maxAmount)) {
+        return false;
+    }
+    if (filters.createdFrom && application.createdAt < filters.createdFrom) {
+        return false;
+    }
+    if (filters.createdTo && application.createdAt > filters.createdTo) {
+        return false;
+    }
+    if (filters.updatedFrom && application.updatedAt < filters.updatedFrom) {
+        return false;
+    }
+    if (filters.updatedTo && application.updatedAt > filters.updatedTo) {
+        return false;
+    }
+    if (filters.email && !containsIgnoringCase(application.email, filters.email)) {
+        return false;
+    }
+    if (filters.q && !containsIgnoringCase(application.projectTitle, filters.q) && !containsIgnoringCase(application.projectDescription, filters.q)) {
+        return false;
+    }
+    return true;
+}
+
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = (sorted.length - 1) / 2;
+    return (sorted[Math.floor(middle)] + sorted[Math.ceil(middle)]) / 2;
+}
+
+export class MemoryStorage {
+    constructor() {
+        this.users = [];
+        this.userTokens = [];
+        this.recoveryCodes = [];
+        this.rateLimitBuckets = new Map();
+        this.refreshTokens = [];
+        this.applications = [];
+        this.statusHistory = [];
+        this.grantPrograms = [];
+        this.documents = [];
+        this.rubricCriteria = [];
+        this.reviews = [];
+        this.disbursements = [];
+        this.bankAccounts = [];
+        this.bankAccountAccessLog = [];
+        this.notifications = [];
+        this.outbox = [];
+        this.chatMessages = [];
+    }
+
+    // Health checks and shutdown: always reachable, no schema to migrate and no pool
+    async ping() {
+    }
+    async getPendingMigrations() {
+        return [];
+    }
+    getConnectionPoolStats() {
+        return null;
+    }
+    async close() {
+    }
+
+    // Inserts a row with the id and timestamp defaults from shared/schema.js
+    insert(table, values, { hasUpdatedAt = false } = {}) {
+        const createdAt = new Date();
+        const row = { id: crypto.randomUUID(), ...values, createdAt };
+        if (hasUpdatedAt) {
+            row.updatedAt = createdAt;
+        }
+        table.push(row);
+        return copy(row);
+    }
+    // Applies updates to the first row matching the predicate and returns a copy, or undefined
+    update(table, predicate, updates) {
+        const row = table.find(predicate);
+        if (!row) {
+            return undefined;
+        }
+        Object.assign(row, typeof updates === "function" ? updates(row) : updates);
+        return copy(row);
+    }
+    updateUser(userId, updates) {
+        return this.update(this.users, (user) => user.id === userId, updates);
+    }
+
+    // Same reference data and admin bootstrap as DatabaseStorage.seedData
+    async seedData() {
+        if (this.grantPrograms.length === 0) {
+            for (const type of grantTypes) {
+                await this.createGrantProgram({
+                    slug: type.id,
+                    name: type.name,
+                    description: type.description,
+                    icon: type.icon,
+                    minAmount: type.minAmount,
+                    maxAmount: type.maxAmount,
+                });
+            }
+        }
+        const initialAdmin = config.initialAdmin;
+        if (initialAdmin.email && initialAdmin.password && !(await this.hasAdministrator())) {
+            const admin = await this.createInitialAdmin({
+                email: initialAdmin.email,
+                password: await bcrypt.hash(initialAdmin.password, 10),
+                fullName: initialAdmin.name,
+            });
+            log.info("Created initial administrator", { userId: admin.id });
+        }
+    }
+    async seedDemoData() {
+        if (await this.getUserByEmail("demo@example.com")) {
+            return;
+        }
+        const demoUser = await this.createUser({
+            email: "demo@example.com",
+            password: await bcrypt.hash("password", 10),
+            fullName: "Demo User",
+            phoneNumber: "+1 555 123 4567",
+            role: "user",
+            emailVerified: true,
+        });
+        const applicant = {
+            userId: demoUser.id,
+            fullName: "Demo User",
+            email: "demo@example.com",
+            phoneNumber: "+1 555 123 4567",
+            address: "123 Main St, San Francisco, CA 94102",
+        };
+        await this.createApplication({
+            ...applicant,
+            projectTitle: "Community Education Center",
+            projectDescription: "Building a community center to provide free educational resources and tutoring for underprivileged children in our neighborhood.",
+            grantType: "education",
+            requestedAmount: 15000,
+        });
+        await this.createApplication({
+            ...applicant,
+            projectTitle: "Small Business Expansion",
+            projectDescription: "Expanding my bakery business to include a second location and hire 5 new employees.",
+            grantType: "business",
+            requestedAmount: 30000,
+        });
+    }
+
+    // User operations
+    async getUser(id) {
+        return copy(this.users.find((user) => user.id === id));
+    }
+    async getUserByEmail(email) {
+        const normalized = email.toLowerCase();
+        return copy(this.users.find((user) => user.email === normalized));
+    }
+    async createUser(insertUser) {
+        const email = insertUser.email.toLowerCase();
+        if (this.users.some((user) => user.email === email)) {
+            throw new Error("Failed to create user");
+        }
+        return this.insert(this.users, {
+            email,
+            password: insertUser.password,
+            fullName: insertUser.fullName,
+            phoneNumber: insertUser.phoneNumber ?? null,
+            role: insertUser.role || "user",
+            emailVerified: insertUser.emailVerified || false,
+            tokenVersion: 0,
+            deactivatedAt: null,
+            failedLoginAttempts: 0,
+            lastFailedLoginAt: null,
+            lockedUntil: null,
+            totpSecretEncrypted: null,
+            totpEnabledAt: null,
+            totpLastCounter: null,
+        });
+    }
+    async getAllUsers() {
+        return oldestFirst(this.users).map(copy);
+    }
+    async hasAdministrator() {
+        return this.users.some((user) => ["super_admin", "admin"].includes(user.role) && !user.deactivatedAt);
+    }
+    async createInitialAdmin(admin) {
+        const existing = await this.getUserByEmail(admin.email);
+        if (existing) {
+            throw new Error("Email already registered");
+        }
+        return this.createUser({ ...admin, role: "super_admin", emailVerified: true });
+    }
+    async setUserDeactivated(userId, deactivated) {
+        return this.updateUser(userId, (user) => (deactivated
+            ? { deactivatedAt: new Date(), tokenVersion: user.tokenVersion + 1 }
+            : { deactivatedAt: null }));
+    }
+    async recordFailedLogin(userId, windowStart) {
+        return this.updateUser(userId, (user) => ({
+            failedLoginAttempts: !user.lastFailedLoginAt || user.lastFailedLoginAt < windowStart ? 1 : user.failedLoginAttempts + 1,
+            lastFailedLoginAt: new Date(),
+        }));
+    }
+    async lockUser(userId, lockedUntil) {
+        return this.updateUser(userId, { lockedUntil });
+    }
+    async clearFailedLogins(userId) {
+        return this.updateUser(userId, { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null });
+    }
+    async updateUserProfile(userId, profile) {
+        return this.updateUser(userId, profile);
+    }
+    // Two-factor operations
+    async setTotpSecret(userId, secretEncrypted) {
+        return this.updateUser(userId, { totpSecretEncrypted: secretEncrypted, totpEnabledAt: null, totpLastCounter: null });
+    }
+    async enableTotp(userId, counter) {
+        return this.updateUser(userId, { totpEnabledAt: new Date(), totpLastCounter: counter });
+    }
+    async useTotpCounter(userId, counter) {
+        return this.update(this.users, (user) => user.id === userId && (user.totpLastCounter === null || user.totpLastCounter < counter), { totpLastCounter: counter });
+    }
+    async disableTotp(userId) {
+        this.recoveryCodes = this.recoveryCodes.filter((code) => code.userId !== userId);
+        return this.updateUser(userId, { totpSecretEncrypted: null, totpEnabledAt: null, totpLastCounter: null });
+    }
+    async replaceRecoveryCodes(userId, codeHashes) {
+        this.recoveryCodes = this.recoveryCodes.filter((code) => code.userId !== userId);
+        for (const codeHash of codeHashes) {
+            this.insert(this.recoveryCodes, { userId, codeHash, usedAt: null });
+        }
+    }
+    async consumeRecoveryCode(userId, codeHash) {
+        return this.update(this.recoveryCodes, (code) => code.userId === userId && code.codeHash === codeHash && !code.usedAt, { usedAt: new Date() });
+    }
+    async countUnusedRecoveryCodes(userId) {
+        return this.recoveryCodes.filter((code) => code.userId === userId && !code.usedAt).length;
+    }
+    async updateUserRole(userId, role) {
+        return this.updateUser(userId, { role });
+    }
+    async setEmailVerified(userId) {
+        return this.updateUser(userId, { emailVerified: true });
+    }
+    async updateUserPassword(userId, passwordHash) {
+        return this.updateUser(userId, (user) => ({
+            password: passwordHash,
+            tokenVersion: user.tokenVersion + 1,
+            failedLoginAttempts: 0,
+            lastFailedLoginAt: null,
+            lockedUntil: null,
+        }));
+    }
+
+    // Rate limiter operations
+    async incrementRateLimit(key, windowMs) {
+        const now = new Date();
+        const bucket = this.rateLimitBuckets.get(key);
+        if (!bucket || bucket.resetAt <= now) {
+            this.rateLimitBuckets.set(key, { key, hits: 1, resetAt: new Date(now.getTime() + windowMs) });
+        }
+        else {
+            bucket.hits += 1;
+        }
+        return copy(this.rateLimitBuckets.get(key));
+    }
+    async getRateLimit(key) {
+        const bucket = this.rateLimitBuckets.get(key);
+        return bucket && bucket.resetAt >= new Date() ? copy(bucket) : undefined;
+    }
+    async decrementRateLimit(key) {
+        const bucket = this.rateLimitBuckets.get(key);
+        if (bucket) {
+            bucket.hits = Math.max(bucket.hits - 1, 0);
+        }
+    }
+    async resetRateLimit(key) {
+        this.rateLimitBuckets.delete(key);
+    }
+    async pruneRateLimits() {
+        const now = new Date();
+        for (const [key, bucket] of this.rateLimitBuckets) {
+            if (bucket.resetAt < now) {
+                this.rateLimitBuckets.delete(key);
+            }
+        }
+    }
+
+    // Email token operations
+    async createUserToken(insertToken) {
+        return this.insert(this.userTokens, {
+            userId: insertToken.userId,
+            purpose: insertToken.purpose,
+            tokenHash: insertToken.tokenHash,
+            expiresAt: insertToken.expiresAt,
+            usedAt: null,
+        });
+    }
+    async consumeUserToken(tokenHash, purpose) {
+        const now = new Date();
+        return this.update(this.userTokens, (token) => token.tokenHash === tokenHash && token.purpose === purpose && !token.usedAt && token.expiresAt >= now, { usedAt: now });
+    }
+    async invalidateUserTokens(userId, purpose) {
+        for (const token of this.userTokens) {
+            if (token.userId === userId && token.purpose === purpose && !token.usedAt) {
+                token.usedAt = new Date();
+            }
+        }
+    }
+
+    // Session operations
+    async incrementTokenVersion(userId) {
+        return this.updateUser(userId, (user) => ({ tokenVersion: user.tokenVersion + 1 }));
+    }
+    async createRefreshToken(insertToken) {
+        return this.insert(this.refreshTokens, {
+            userId: insertToken.userId,
+            tokenHash: insertToken.tokenHash,
+            familyId: insertToken.familyId,
+            expiresAt: insertToken.expiresAt,
+            revokedAt: null,
+            replacedBy: null,
+        });
+    }
+    async getRefreshTokenByHash(tokenHash) {
+        return copy(this.refreshTokens.find((token) => token.tokenHash === tokenHash));
+    }
+    async revokeRefreshToken(id) {
+        return this.update(this.refreshTokens, (token) => token.id === id && !token.revokedAt, { revokedAt: new Date() });
+    }
+    async setRefreshTokenReplacement(id, replacedBy) {
+        this.update(this.refreshTokens, (token) => token.id === id, { replacedBy });
+    }
+    async revokeRefreshTokenFamily(familyId) {
+        for (const token of this.refreshTokens) {
+            if (token.familyId === familyId && !token.revokedAt) {
+                token.revokedAt = new Date();
+            }
+        }
+    }
+    async revokeAllRefreshTokens(userId) {
+        for (const token of this.refreshTokens) {
+            if (token.userId === userId && !token.revokedAt) {
+                token.revokedAt = new Date();
+            }
+        }
+    }
+
+    // Grant application operations
+    async getApplication(id) {
+        return copy(this.applications.find((application) => application.id === id));
+    }
+    async getApplicationsByUser(userId) {
+        return newestFirst(this.applications.filter((application) => application.userId === userId)).map(copy);
+    }
+    async getAllApplications() {
+        return newestFirst(this.applications.filter((application) => application.status !== "draft")).map(copy);
+    }
+    async searchApplications(query = {}) {
+        const applications = await this.getApplicationsPage(query);
+        const total = this.applications.filter((application) => matchesApplicationFilters(application, query)).length;
+        return { applications, total };
+    }
+    async getApplicationsPage({ sort = "createdAt", order = "desc", limit = 20, offset = 0, ...filters } = {}) {
+        const direction = order === "asc" ? 1 : -1;
+        return this.applications
+            .filter((application) => matchesApplicationFilters(application, filters))
+            .sort((a, b) => direction * (compareValues(a[sort], b[sort]) || compareValues(a.id, b.id)))
+            .slice(offset, offset + limit)
+            .map(copy);
+    }
+    // Same metrics as DatabaseStorage.getApplicationStats, computed over the rows in memory
+    async getApplicationStats({ from, to } = {}) {
+        const submittedAt = (application) => application.submittedAt;
+        const applications = this.applications.filter((application) => application.status !== "draft"
+            && (!from || submittedAt(application) >= from)
+            && (!to || submittedAt(application) <= to));
+        const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+        const groupBy = (rows, keyOf) => {
+            const groups = new Map();
+            for (const row of rows) {
+                const key = keyOf(row);
+                groups.set(key, [...(groups.get(key) || []), row]);
+            }
+            return [...groups.entries()].sort(([a], [b]) => compareValues(a, b));
+        };
+        const byStatus = groupBy(applications, (application) => application.status)
+            .map(([status, rows]) => ({ status, count: rows.length }));
+        const byGrantType = groupBy(applications, (application) => application.grantType)
+            .map(([grantType, rows]) => ({
+                grantType,
+                count: rows.length,
+                totalRequested: sum(rows, "requestedAmount"),
+                totalDisbursement: sum(rows.filter((row) => row.status === "approved"), "disbursementAmount"),
+            }));
+        const decisionDays = applications
+            .filter((application) => ["approved", "rejected"].includes(application.status))
+            .map((application) => {
+                const decisions = this.statusHistory.filter((entry) => entry.applicationId === application.id && ["approved", "rejected"].includes(entry.toStatus));
+                return decisions.length > 0 ? (oldestFirst(decisions)[0].createdAt - submittedAt(application)) / 86400000 : null;
+            })
+            .filter((days) => days !== null);
+        const decisionTime = {
+            decidedCount: decisionDays.length,
+            averageDays: decisionDays.length > 0 ? decisionDays.reduce((total, days) => total + days, 0) / decisionDays.length : null,
+            medianDays: median(decisionDays),
+        };
+        const monthly = groupBy(applications, (application) => submittedAt(application).toISOString().slice(0, 7))
+            .map(([month, rows]) => ({
+                month,
+                submitted: rows.length,
+                approved: rows.filter((row) => row.status === "approved").length,
+                rejected: rows.filter((row) => row.status === "rejected").length,
+                totalRequested: sum(rows, "requestedAmount"),
+            }));
+        return { byStatus, byGrantType, decisionTime, monthly };
+    }
+    addStatusHistory(entry) {
+        this.insert(this.statusHistory, {
+            applicationId: entry.applicationId,
+            fromStatus: entry.fromStatus,
+            toStatus: entry.toStatus,
+            changedBy: entry.changedBy,
+            note: entry.note || null,
+        });
+    }
+    async createApplication(insertApplication, { status = "pending" } = {}) {
+        const application = this.insert(this.applications, {
+            userId: insertApplication.userId,
+            fullName: insertApplication.fullName ?? null,
+            email: insertApplication.email ?? null,
+            phoneNumber: insertApplication.phoneNumber ?? null,
+            address: insertApplication.address ?? null,
+            projectTitle: insertApplication.projectTitle ?? null,
+            projectDescription: insertApplication.projectDescription ?? null,
+            grantType: insertApplication.grantType ?? null,
+            requestedAmount: insertApplication.requestedAmount ?? null,
+            fileUrl: insertApplication.fileUrl || "",
+            fileName: insertApplication.fileName || "",
+            status,
+            adminNotes: "",
+            disbursementAmount: insertApplication.disbursementAmount || null,
+            paymentMethod: insertApplication.paymentMethod || null,
+            submittedAt: status === "draft" ? null : new Date(),
+        }, { hasUpdatedAt: true });
+        this.addStatusHistory({ applicationId: application.id, fromStatus: null, toStatus: application.status, changedBy: application.userId });
+        return application;
+    }
+    async updateDraftApplication(id, updates) {
+        const result = this.update(this.applications, (application) => application.id === id && application.status === "draft", { ...updates, updatedAt: new Date() });
+        if (!result) {
+            throw new Error("Application is not a draft");
+        }
+        return result;
+    }
+    async submitDraftApplication(id, userId) {
+        const result = this.update(this.applications, (application) => application.id === id && application.status === "draft", {
+            status: "pending",
+            submittedAt: new Date(),
+            updatedAt: new Date(),
+        });
+        if (!result) {
+            throw new Error("Application is not a draft");
+        }
+        this.addStatusHistory({ applicationId: id, fromStatus: "draft", toStatus: "pending", changedBy: userId });
+        return result;
+    }
+    async importApplications(insertApplications, importedBy) {
+        return insertApplications.map((insertApplication) => {
+            const application = this.insert(this.applications, {
+                userId: insertApplication.userId,
+                fullName: insertApplication.fullName,
+                email: insertApplication.email,
+                phoneNumber: insertApplication.phoneNumber ?? null,
+                address: insertApplication.address,
+                projectTitle: insertApplication.projectTitle,
+                projectDescription: insertApplication.projectDescription,
+                grantType: insertApplication.grantType,
+                requestedAmount: insertApplication.requestedAmount,
+                fileUrl: "",
+                fileName: "",
+                status: insertApplication.status,
+                adminNotes: insertApplication.adminNotes || "",
+                disbursementAmount: insertApplication.disbursementAmount || null,
+                paymentMethod: insertApplication.paymentMethod || null,
+                submittedAt: new Date(),
+            }, { hasUpdatedAt: true });
+            this.addStatusHistory({ applicationId: application.id, fromStatus: null, toStatus: application.status, changedBy: importedBy, note: "Imported from CSV" });
+            return application;
+        });
+    }
+    async updateApplicationStatus(id, fromStatus, status, adminNotes, disbursementAmount, changedBy) {
+        const updateData = { status, updatedAt: new Date() };
+        if (adminNotes !== undefined) {
+            updateData.adminNotes = adminNotes;
+        }
+        if (disbursementAmount !== undefined) {
+            updateData.disbursementAmount = disbursementAmount;
+        }
+        const result = this.update(this.applications, (application) => application.id === id && application.status === fromStatus, updateData);
+        if (!result) {
+            throw new Error("Application status has changed");
+        }
+        this.addStatusHistory({ applicationId: id, fromStatus, toStatus: status, changedBy, note: adminNotes });
+        return result;
+    }
+    async getApplicationStatusHistory(applicationId) {
+        return oldestFirst(this.statusHistory.filter((entry) => entry.applicationId === applicationId)).map((entry) => {
+            const changedBy = this.users.find((user) => user.id === entry.changedBy);
+            return {
+                ...entry,
+                changedByName: changedBy ? changedBy.fullName : null,
+                changedByRole: changedBy ? changedBy.role : null,
+            };
+        });
+    }
+    async updatePaymentMethod(id, paymentMethod) {
+        const result = this.update(this.applications, (application) => application.id === id, { paymentMethod, updatedAt: new Date() });
+        if (!result) {
+            throw new Error("Application not found");
+        }
+        return result;
+    }
+
+    // Grant program operations
+    async getGrantPrograms({ includeArchived = false } = {}) {
+        return this.grantPrograms
+            .filter((program) => includeArchived || program.status === "active")
+            .sort((a, b) => compareValues(a.name, b.name))
+            .map(copy);
+    }
+    async getGrantProgram(id) {
+        return copy(this.grantPrograms.find((program) => program.id === id));
+    }
+    async getGrantProgramBySlug(slug) {
+        return copy(this.grantPrograms.find((program) => program.slug === slug));
+    }
+    async createGrantProgram(insertProgram) {
+        if (this.grantPrograms.some((program) => program.slug === insertProgram.slug)) {
+            throw new Error("Failed to create grant program");
+        }
+        return this.insert(this.grantPrograms, {
+            slug: insertProgram.slug,
+            name: insertProgram.name,
+            description: insertProgram.description || null,
+            icon: insertProgram.icon || null,
+            minAmount: insertProgram.minAmount,
+            maxAmount: insertProgram.maxAmount,
+            opensAt: insertProgram.opensAt || null,
+            closesAt: insertProgram.closesAt || null,
+            status: insertProgram.status || "active",
+        }, { hasUpdatedAt: true });
+    }
+    async updateGrantProgram(id, updates) {
+        const result = this.update(this.grantPrograms, (program) => program.id === id, { ...updates, updatedAt: new Date() });
+        if (!result) {
+            throw new Error("Grant program not found");
+        }
+        return result;
+    }
+
+    // Document operations
+    async getApplicationDocuments(applicationId) {
+        return oldestFirst(this.documents.filter((document) => document.applicationId === applicationId)).map(copy);
+    }
+    async getApplicationDocument(applicationId, documentId) {
+        return copy(this.documents.find((document) => document.id === documentId && document.applicationId === applicationId));
+    }
+    async createApplicationDocument(insertDocument) {
+        return this.insert(this.documents, {
+            applicationId: insertDocument.applicationId,
+            uploadedBy: insertDocument.uploadedBy,
+            fileName: insertDocument.fileName,
+            mimeType: insertDocument.mimeType,
+            size: insertDocument.size,
+            storageDriver: insertDocument.storageDriver,
+            storageKey: insertDocument.storageKey,
+        });
+    }
+    async deleteApplicationDocument(id) {
+        const document = this.documents.find((row) => row.id === id);
+        if (!document) {
+            throw new Error("Document not found");
+        }
+        this.documents = this.documents.filter((row) => row.id !== id);
+        return copy(document);
+    }
+
+    // Rubric operations
+    async getRubricCriteria(grantType) {
+        return oldestFirst(this.rubricCriteria.filter((criterion) => criterion.grantType === grantType), "position").map(copy);
+    }
+    async replaceRubricCriteria(grantType, criteria) {
+        this.rubricCriteria = this.rubricCriteria.filter((criterion) => criterion.grantType !== grantType);
+        return criteria.map((criterion, index) => this.insert(this.rubricCriteria, {
+            grantType,
+            name: criterion.name,
+            description: criterion.description || null,
+            weight: criterion.weight,
+            maxScore: criterion.maxScore,
+            position: index,
+        }));
+    }
+    async hasSubmittedReviewsForGrantType(grantType) {
+        return this.reviews.some((review) => review.submittedAt
+            && this.applications.some((application) => application.id === review.applicationId && application.grantType === grantType));
+    }
+
+    // Review operations
+    async getApplicationReview(applicationId, reviewerId) {
+        return copy(this.reviews.find((review) => review.applicationId === applicationId && review.reviewerId === reviewerId));
+    }
+    async getApplicationReviews(applicationId) {
+        return oldestFirst(this.reviews.filter((review) => review.applicationId === applicationId)).map((review) => {
+            const reviewer = this.users.find((user) => user.id === review.reviewerId);
+            return {
+                id: review.id,
+                applicationId: review.applicationId,
+                reviewerId: review.reviewerId,
+                reviewerName: reviewer ? reviewer.fullName : null,
+                assignedBy: review.assignedBy,
+                scores: review.scores,
+                weightedScore: review.weightedScore,
+                comment: review.comment,
+                submittedAt: review.submittedAt,
+                createdAt: review.createdAt,
+            };
+        });
+    }
+    async getReviewAssignments(reviewerId) {
+        return newestFirst(this.reviews.filter((review) => review.reviewerId === reviewerId))
+            .map((review) => ({
+                review: copy(review),
+                application: copy(this.applications.find((application) => application.id === review.applicationId)),
+            }))
+            .filter((assignment) => assignment.application);
+    }
+    async assignReviewer(applicationId, reviewerId, assignedBy) {
+        if (this.reviews.some((review) => review.applicationId === applicationId && review.reviewerId === reviewerId)) {
+            throw new Error("Reviewer already assigned");
+        }
+        return this.insert(this.reviews, {
+            applicationId,
+            reviewerId,
+            assignedBy,
+            scores: null,
+            weightedScore: null,
+            comment: null,
+            submittedAt: null,
+        }, { hasUpdatedAt: true });
+    }
+    async removeReviewer(applicationId, reviewerId) {
+        const review = this.reviews.find((row) => row.applicationId === applicationId && row.reviewerId === reviewerId);
+        if (!review) {
+            throw new Error("Reviewer not assigned");
+        }
+        this.reviews = this.reviews.filter((row) => row !== review);
+        return copy(review);
+    }
+    async submitReview(id, { scores, weightedScore, comment }) {
+        const result = this.update(this.reviews, (review) => review.id === id, {
+            scores,
+            weightedScore,
+            comment: comment || null,
+            submittedAt: new Date(),
+            updatedAt: new Date(),
+        });
+        if (!result) {
+            throw new Error("Review not found");
+        }
+        return result;
+    }
+
+    // Disbursement operations
+    async getDisbursementsByApplication(applicationId) {
+        return this.disbursements
+            .filter((disbursement) => disbursement.applicationId === applicationId)
+            .sort((a, b) => a.dueDate - b.dueDate || a.createdAt - b.createdAt)
+            .map(copy);
+    }
+    async getDisbursement(id) {
+        return copy(this.disbursements.find((disbursement) => disbursement.id === id));
+    }
+    // Nothing else runs between the balance check and the insert, so no lock is needed here
+    async createDisbursement(insertDisbursement, approvedAmount) {
+        const committed = this.disbursements
+            .filter((disbursement) => disbursement.applicationId === insertDisbursement.applicationId && disbursement.status !== "failed")
+            .reduce((total, disbursement) => total + disbursement.amount, 0);
+        if (committed + insertDisbursement.amount > approvedAmount) {
+            throw new Error("Disbursement exceeds remaining balance");
+        }
+        return this.insert(this.disbursements, {
+            applicationId: insertDisbursement.applicationId,
+            amount: insertDisbursement.amount,
+            dueDate: insertDisbursement.dueDate,
+            status: "scheduled",
+            method: insertDisbursement.method,
+            chequeNumber: null,
+            transferReference: null,
+            notes: insertDisbursement.notes || null,
+            recordedBy: insertDisbursement.recordedBy,
+            sentAt: null,
+            clearedAt: null,
+        }, { hasUpdatedAt: true });
+    }
+    async updateDisbursement(id, fromStatus, updates) {
+        const result = this.update(this.disbursements, (disbursement) => disbursement.id === id && disbursement.status === fromStatus, { ...updates, updatedAt: new Date() });
+        if (!result) {
+            throw new Error("Disbursement status has changed");
+        }
+        return result;
+    }
+
+    // Bank account operations (values arrive and leave encrypted)
+    async getBankAccountByApplication(applicationId) {
+        return copy(this.bankAccounts.find((account) => account.applicationId === applicationId));
+    }
+    async upsertBankAccount(insertAccount) {
+        const values = {
+            userId: insertAccount.userId,
+            accountHolderEncrypted: insertAccount.accountHolderEncrypted,
+            bankNameEncrypted: insertAccount.bankNameEncrypted,
+            accountNumberEncrypted: insertAccount.accountNumberEncrypted,
+            routingCodeEncrypted: insertAccount.routingCodeEncrypted,
+        };
+        const updated = this.update(this.bankAccounts, (account) => account.applicationId === insertAccount.applicationId, { ...values, updatedAt: new Date() });
+        if (updated) {
+            return updated;
+        }
+        return this.insert(this.bankAccounts, { applicationId: insertAccount.applicationId, ...values }, { hasUpdatedAt: true });
+    }
+    async logBankAccountAccess(entry) {
+        return this.insert(this.bankAccountAccessLog, {
+            bankAccountId: entry.bankAccountId,
+            applicationId: entry.applicationId,
+            accessedBy: entry.accessedBy,
+            reason: entry.reason,
+        });
+    }
+    async getBankAccountAccessLog(applicationId) {
+        return newestFirst(this.bankAccountAccessLog.filter((entry) => entry.applicationId === applicationId)).map((entry) => {
+            const accessedBy = this.users.find((user) => user.id === entry.accessedBy);
+            return {
+                id: entry.id,
+                bankAccountId: entry.bankAccountId,
+                accessedBy: entry.accessedBy,
+                accessedByName: accessedBy ? accessedBy.fullName : null,
+                reason: entry.reason,
+                createdAt: entry.createdAt,
+            };
+        });
+    }
+
+    // Notification operations
+    async createNotification(insertNotification) {
+        return this.insert(this.notifications, {
+            userId: insertNotification.userId,
+            type: insertNotification.type,
+            title: insertNotification.title,
+            body: insertNotification.body,
+            data: insertNotification.data || null,
+            readAt: null,
+        });
+    }
+    async getNotificationsByUser(userId, { before, limit, unreadOnly = false } = {}) {
+        const result = newestFirst(this.notifications.filter((notification) => notification.userId === userId
+            && (!before || notification.createdAt < before)
+            && (!unreadOnly || !notification.readAt)));
+        return (limit ? result.slice(0, limit) : result).map(copy);
+    }
+    async countUnreadNotifications(userId) {
+        return this.notifications.filter((notification) => notification.userId === userId && !notification.readAt).length;
+    }
+    async markNotificationRead(id, userId) {
+        const result = this.update(this.notifications, (notification) => notification.id === id && notification.userId === userId, (notification) => ({
+            readAt: notification.readAt || new Date(),
+        }));
+        if (!result) {
+            throw new Error("Notification not found");
+        }
+        return result;
+    }
+    async markAllNotificationsRead(userId) {
+        const unread = this.notifications.filter((notification) => notification.userId === userId && !notification.readAt);
+        for (const notification of unread) {
+            notification.readAt = new Date();
+        }
+        return unread.length;
+    }
+    async createOutboxMessage(insertMessage) {
+        return this.insert(this.outbox, {
+            userId: insertMessage.userId || null,
+            template: insertMessage.template,
+            recipient: insertMessage.recipient,
+            subject: insertMessage.subject,
+            body: insertMessage.body,
+            status: "pending",
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: new Date(),
+            sentAt: null,
+        });
+    }
+    async getDueOutboxMessages(limit) {
+        const now = new Date();
+        return oldestFirst(this.outbox.filter((message) => message.status === "pending" && message.nextAttemptAt <= now), "nextAttemptAt")
+            .slice(0, limit)
+            .map(copy);
+    }
+    async claimOutboxMessage(id, leaseUntil) {
+        const now = new Date();
+        return this.update(this.outbox, (message) => message.id === id && message.status === "pending" && message.nextAttemptAt <= now, (message) => ({
+            nextAttemptAt: leaseUntil,
+            attempts: message.attempts + 1,
+        }));
+    }
+    async updateOutboxMessage(id, updates) {
+        return this.update(this.outbox, (message) => message.id === id, updates);
+    }
+
+    // Chat message operations (see DatabaseStorage for how conversations are keyed)
+    async getChatMessagesByUser(userId, { before, limit } = {}) {
+        const result = newestFirst(this.chatMessages.filter((message) => message.userId === userId && (!before || message.createdAt < before)));
+        return (limit ? result.slice(0, limit) : result).reverse().map(copy);
+    }
+    async getAllChatMessages({ limit } = {}) {
+        const result = newestFirst(this.chatMessages);
+        return (limit ? result.slice(0, limit) : result).reverse().map(copy);
+    }
+    async getChatConversations({ limit = 20, offset = 0 } = {}) {
+        const byUser = new Map();
+        for (const message of this.chatMessages) {
+            const conversation = byUser.get(message.userId);
+            if (conversation) {
+                conversation.messageCount += 1;
+                if (message.createdAt > conversation.lastMessageAt) {
+                    conversation.lastMessageAt = message.createdAt;
+                }
+            }
+            else {
+                const user = this.users.find((row) => row.id === message.userId);
+                byUser.set(message.userId, {
+                    userId: message.userId,
+                    fullName: user ? user.fullName : null,
+                    email: user ? user.email : null,
+                    messageCount: 1,
+                    lastMessageAt: message.createdAt,
+                });
+            }
+        }
+        const conversations = newestFirst([...byUser.values()], "lastMessageAt").slice(offset, offset + limit);
+        return { conversations, total: byUser.size };
+    }
+    async createChatMessage(insertMessage) {
+        return this.insert(this.chatMessages, {
+            userId: insertMessage.userId,
+            senderId: insertMessage.senderId || null,
+            senderRole: insertMessage.senderRole,
+            message: insertMessage.message,
+        });
+    }
+}
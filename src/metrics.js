@@ -0,0 +1,114 @@
+// Prometheus metrics in the text exposition format (version 0.0.4), served at /metrics.
+// Counters and histograms are updated as things happen; gauges are read from a callback on each
+// scrape, so they always show current values (connection pool, open sockets).
+
+// Label values are escaped as the format requires; labels are written in a fixed order
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return "";
+    }
+    const escape = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(",")}}`;
+}
+
+const metrics = new Map();
+
+function register(metric) {
+    // Registering the same name again replaces it, so registerRoutes can run more than once
+    metrics.set(metric.name, metric);
+    return metric;
+}
+
+export function createCounter(name, help) {
+    const values = new Map();
+    return register({
+        name,
+        help,
+        type: "counter",
+        inc(labels = {}, amount = 1) {
+            const key = formatLabels(labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        collect: () => [...values].map(([labels, value]) => `${name}${labels} ${value}`),
+    });
+}
+
+export function createHistogram(name, help, buckets) {
+    const series = new Map();
+    return register({
+        name,
+        help,
+        type: "histogram",
+        observe(labels, value) {
+            const key = formatLabels(labels);
+            if (!series.has(key)) {
+                series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        collect: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`,
+        ]),
+    });
+}
+
+// read() returns [{ labels, value }], or nothing to leave the gauge out of this scrape
+export function createGauge(name, help, read) {
+    return register({
+        name,
+        help,
+        type: "gauge",
+        collect: async () => {
+            const samples = (await read()) || [];
+            return samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`);
+        },
+    });
+}
+
+export async function renderMetrics() {
+    const lines = [];
+    for (const metric of metrics.values()) {
+        const samples = await metric.collect();
+        if (samples.length === 0) {
+            continue;
+        }
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...samples);
+    }
+    return lines.join("\n") + "\n";
+}
+
+const httpRequestDuration = createHistogram(
+    "http_request_duration_seconds",
+    "HTTP request latency by method, route and status",
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+);
+
+export const applicationStatusChanges = createCounter(
+    "grant_application_status_changes_total",
+    "Applications entering each status, including new submissions and drafts",
+);
+
+// Times every request by its route pattern (/api/applications/:id, not the real id) so the number
+// of series stays small; requests that match no route share one label
+export function httpMetrics() {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on("finish", () => {
+            const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+        });
+        next();
+    };
+}
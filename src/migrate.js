@@ -0,0 +1,183 @@
+// Versioned SQL migrations.
+// Each migration is a pair of files in migrations/, NNNN_name.up.sql and NNNN_name.down.sql, whose
+// statements are separated by "--> statement-breakpoint" lines (the format drizzle-kit generate writes,
+// so `npm run db:generate` output can be copied in). Applied migrations are recorded in
+// schema_migrations with a checksum of the up file, and each one runs in its own transaction.
+// A down file with a "-- irreversible" line marks a migration that cannot be rolled back (the
+// baseline); migrate down refuses to go past it.
+//
+// Usage: npm run migrate -- up | down [steps] | status
+import fs from "fs";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { sql } from "drizzle-orm";
+import { db } from "./db-vercel.js";
+
+const MIGRATIONS_DIR = fileURLToPath(new URL("../migrations", import.meta.url));
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.up\.sql$/;
+const STATEMENT_BREAKPOINT = /^-->\s*statement-breakpoint\s*$/m;
+const IRREVERSIBLE_MARKER = /^--\s*irreversible\s*$/m;
+// Arbitrary key for pg_advisory_xact_lock, so concurrent runners apply each migration once
+const MIGRATION_LOCK_KEY = 720_514_003;
+
+function splitStatements(text) {
+    return text.split(STATEMENT_BREAKPOINT).map((statement) => statement.trim()).filter(Boolean);
+}
+
+// Migrations on disk in order, each with its up/down statements
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+    const files = fs.readdirSync(dir);
+    return files
+        .filter((file) => MIGRATION_FILE.test(file))
+        .sort()
+        .map((file) => {
+            const name = file.replace(/\.up\.sql$/, "");
+            const downFile = `${name}.down.sql`;
+            if (!files.includes(downFile)) {
+                throw new Error(`Migration ${name} has no ${downFile}`);
+            }
+            const up = fs.readFileSync(`${dir}/${file}`, "utf8");
+            const down = fs.readFileSync(`${dir}/${downFile}`, "utf8");
+            const reversible = !IRREVERSIBLE_MARKER.test(down);
+            return {
+                name,
+                checksum: crypto.createHash("sha256").update(up).digest("hex"),
+                up: splitStatements(up),
+                down: reversible ? splitStatements(down) : [],
+                reversible,
+            };
+        });
+}
+
+async function ensureMigrationsTable() {
+    await db.execute(sql`CREATE TABLE IF NOT EXISTS schema_migrations (
+        name text PRIMARY KEY,
+        checksum text NOT NULL,
+        applied_at timestamp NOT NULL DEFAULT now()
+    )`);
+}
+
+async function getAppliedMigrations() {
+    const result = await db.execute(sql`SELECT name, checksum, applied_at FROM schema_migrations ORDER BY name`);
+    return result.rows;
+}
+
+// Applies every pending migration in order and returns the names applied
+export async function migrateUp({ log = console.log } = {}) {
+    await ensureMigrationsTable();
+    const applied = [];
+    for (const migration of loadMigrations()) {
+        const ran = await db.transaction(async (tx) => {
+            await tx.execute(sql`SELECT pg_advisory_xact_lock(${MIGRATION_LOCK_KEY})`);
+            // Checked under the lock in case another runner got here first
+            const existing = await tx.execute(sql`SELECT 1 FROM schema_migrations WHERE name = ${migration.name}`);
+            if (existing.rows.length > 0) {
+                return false;
+            }
+            for (const statement of migration.up) {
+                await tx.execute(sql.raw(statement));
+            }
+            await tx.execute(sql`INSERT INTO schema_migrations (name, checksum) VALUES (${migration.name}, ${migration.checksum})`);
+            return true;
+        });
+        if (ran) {
+            log(`[MIGRATE] Applied ${migration.name}`);
+            applied.push(migration.name);
+        }
+    }
+    return applied;
+}
+
+// Rolls back the most recently applied migrations and returns the names rolled back
+export async function migrateDown(steps = 1, { log = console.log } = {}) {
+    await ensureMigrationsTable();
+    const byName = new Map(loadMigrations().map((migration) => [migration.name, migration]));
+    const rolledBack = [];
+    for (let i = 0; i < steps; i++) {
+        const name = await db.transaction(async (tx) => {
+            await tx.execute(sql`SELECT pg_advisory_xact_lock(${MIGRATION_LOCK_KEY})`);
+            const last = await tx.execute(sql`SELECT name FROM schema_migrations ORDER BY name DESC LIMIT 1`);
+            if (last.rows.length === 0) {
+                return null;
+            }
+            const migration = byName.get(last.rows[0].name);
+            if (!migration) {
+                throw new Error(`Migration ${last.rows[0].name} is applied but its files are missing`);
+            }
+            if (!migration.reversible) {
+                throw new Error(`Migration ${migration.name} is irreversible and cannot be rolled back`);
+            }
+            for (const statement of migration.down) {
+                await tx.execute(sql.raw(statement));
+            }
+            await tx.execute(sql`DELETE FROM schema_migrations WHERE name = ${migration.name}`);
+            return migration.name;
+        });
+        if (!name) {
+            break;
+        }
+        log(`[MIGRATE] Rolled back ${name}`);
+        rolledBack.push(name);
+    }
+    return rolledBack;
+}
+
+// One entry per known migration: "applied", "pending", "changed" (edited after it was applied) or
+// "missing" (applied but no longer on disk)
+export async function getMigrationStatus() {
+    await ensureMigrationsTable();
+    const applied = new Map((await getAppliedMigrations()).map((row) => [row.name, row]));
+    const status = loadMigrations().map((migration) => {
+        const row = applied.get(migration.name);
+        applied.delete(migration.name);
+        if (!row) {
+            return { name: migration.name, status: "pending", appliedAt: null };
+        }
+        return { name: migration.name, status: row.checksum === migration.checksum ? "applied" : "changed", appliedAt: row.applied_at };
+    });
+    for (const row of applied.values()) {
+        status.push({ name: row.name, status: "missing", appliedAt: row.applied_at });
+    }
+    return status.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Names of migrations not applied yet, without writing anything, so readiness probes can call it.
+// Before the first migration run schema_migrations does not exist and every migration is pending.
+export async function listPendingMigrations() {
+    const table = await db.execute(sql`SELECT to_regclass('schema_migrations')::text AS name`);
+    const applied = table.rows[0].name ? new Set((await getAppliedMigrations()).map((row) => row.name)) : new Set();
+    return loadMigrations().map((migration) => migration.name).filter((name) => !applied.has(name));
+}
+
+async function main([command, arg]) {
+    if (command === "up") {
+        const applied = await migrateUp();
+        console.log(applied.length ? `[MIGRATE] ${applied.length} migration(s) applied` : "[MIGRATE] Already up to date");
+    }
+    else if (command === "down") {
+        const steps = arg === undefined ? 1 : parseInt(arg, 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error("Steps must be a positive integer");
+        }
+        const rolledBack = await migrateDown(steps);
+        if (rolledBack.length === 0) {
+            console.log("[MIGRATE] Nothing to roll back");
+        }
+    }
+    else if (command === "status") {
+        for (const entry of await getMigrationStatus()) {
+            const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : "";
+            console.log(`${entry.status.padEnd(8)} ${entry.name} ${appliedAt}`.trimEnd());
+        }
+    }
+    else {
+        throw new Error("Usage: migrate up | down [steps] | status");
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).then(() => process.exit(0), (error) => {
+        console.error(`[MIGRATE] ${error.message}`);
+        process.exit(1);
+    });
+}
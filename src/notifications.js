@@ -0,0 +1,146 @@
+// Notification service.
+// notify() renders a template into an in-app notification and an outbox email, then kicks off delivery.
+// Emails are retried with exponential backoff by processOutbox(), which also runs on a timer when the
+// server is long-lived (see startOutboxWorker).
+import { storage } from "./storage.js";
+import { getMailTransport } from "./mail-transports.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ component: "notify" });
+
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+// How long a claimed message is hidden from other workers while it is being sent
+const DELIVERY_LEASE_MS = 5 * 60 * 1000;
+const OUTBOX_BATCH_SIZE = 20;
+
+const statusLabels = {
+    pending: "pending",
+    under_review: "under review",
+    approved: "approved",
+    rejected: "rejected",
+};
+
+function formatAmount(amount) {
+    return `$${Number(amount).toLocaleString("en-US")}`;
+}
+
+// Each template returns the in-app title/body and the email subject/text
+const templates = {
+    submission_received: ({ application }) => ({
+        title: "Application received",
+        body: `We received your application "${application.projectTitle}".`,
+        subject: "We received your grant application",
+        text: `Hello ${application.fullName},\n\n`
+            + `Thank you for applying. Your application "${application.projectTitle}" has been received `
+            + `and will be reviewed by our team.\n\nReference: ${application.id}\n\nThe GrantHub Team`,
+    }),
+    status_changed: ({ application }) => ({
+        title: "Application status updated",
+        body: `Your application "${application.projectTitle}" is now ${statusLabels[application.status] || application.status}.`,
+        subject: "Your Grant Application Status Update",
+        text: `Hello ${application.fullName},\n\n`
+            + `Your application "${application.projectTitle}" is now ${statusLabels[application.status] || application.status}.\n\n`
+            + `Reference: ${application.id}\n\nThe GrantHub Team`,
+    }),
+    disbursement_set: ({ application }) => ({
+        title: "Disbursement amount set",
+        body: `${formatAmount(application.disbursementAmount)} will be disbursed for "${application.projectTitle}".`,
+        subject: "Your grant disbursement amount",
+        text: `Hello ${application.fullName},\n\n`
+            + `A disbursement of ${formatAmount(application.disbursementAmount)} has been set for your application `
+            + `"${application.projectTitle}". Please choose a payment method in your dashboard if you have not already.\n\n`
+            + `Reference: ${application.id}\n\nThe GrantHub Team`,
+    }),
+    disbursement_updated: ({ application, disbursement }) => ({
+        title: "Payment update",
+        body: `Your payment of ${formatAmount(disbursement.amount)} for "${application.projectTitle}" is ${disbursement.status}.`,
+        subject: "Update on your grant payment",
+        text: `Hello ${application.fullName},\n\n`
+            + `Your payment of ${formatAmount(disbursement.amount)} for "${application.projectTitle}" is now ${disbursement.status}.`
+            + `${disbursement.status === "failed" ? " Our finance team will be in touch to arrange another payment." : ""}\n\n`
+            + `Reference: ${application.id}\n\nThe GrantHub Team`,
+    }),
+    chat_message: ({ recipientName, senderLabel, message }) => ({
+        title: `New message from ${senderLabel}`,
+        body: message.message.length > 140 ? `${message.message.slice(0, 137)}...` : message.message,
+        subject: `New message from ${senderLabel}`,
+        text: `Hello ${recipientName},\n\nYou have a new message from ${senderLabel}:\n\n`
+            + `${message.message}\n\nSign in to GrantHub to reply.\n\nThe GrantHub Team`,
+    }),
+};
+
+export const notificationTypes = Object.keys(templates);
+
+// Sends the notification to `recipient` ({ userId, email }); data is passed to the template and the
+// ids in `link` are stored with the in-app entry. Failures are logged, never thrown, so callers can
+// fire and forget.
+export async function notify(recipient, type, data, link = {}) {
+    try {
+        const rendered = templates[type](data);
+        if (recipient.userId) {
+            await storage.createNotification({
+                userId: recipient.userId,
+                type,
+                title: rendered.title,
+                body: rendered.body,
+                data: link,
+            });
+        }
+        if (recipient.email) {
+            await storage.createOutboxMessage({
+                userId: recipient.userId,
+                template: type,
+                recipient: recipient.email,
+                subject: rendered.subject,
+                body: rendered.text,
+            });
+            processOutbox().catch((error) => {
+                log.error("Outbox processing failed", { err: error });
+            });
+        }
+    }
+    catch (error) {
+        log.error("Failed to create notification", { type, err: error });
+    }
+}
+
+async function deliver(message) {
+    const claimed = await storage.claimOutboxMessage(message.id, new Date(Date.now() + DELIVERY_LEASE_MS));
+    if (!claimed) {
+        // Another worker picked it up first
+        return;
+    }
+    try {
+        await getMailTransport().send({ to: claimed.recipient, subject: claimed.subject, text: claimed.body });
+        await storage.updateOutboxMessage(claimed.id, { status: "sent", sentAt: new Date(), lastError: null });
+    }
+    catch (error) {
+        const exhausted = claimed.attempts >= MAX_DELIVERY_ATTEMPTS;
+        await storage.updateOutboxMessage(claimed.id, {
+            status: exhausted ? "failed" : "pending",
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (claimed.attempts - 1)),
+        });
+        log.warn("Email delivery failed", { outboxId: claimed.id, attempt: claimed.attempts, exhausted, err: error });
+    }
+}
+
+// Delivers every outbox message that is due, returns how many were attempted
+export async function processOutbox() {
+    const due = await storage.getDueOutboxMessages(OUTBOX_BATCH_SIZE);
+    for (const message of due) {
+        await deliver(message);
+    }
+    return due.length;
+}
+
+export function startOutboxWorker(intervalMs = 30 * 1000) {
+    const timer = setInterval(() => {
+        processOutbox().catch((error) => {
+            log.error("Outbox processing failed", { err: error });
+        });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+}
@@ -0,0 +1,323 @@
+// OpenAPI 3.1 description of the REST API, served at /api/openapi.json and browsable at /api/docs.
+// Request bodies and query strings are generated from the zod schemas the routes validate with; the
+// rest comes from the route table below. Every route registered in routes.js needs an entry here,
+// which test/openapi.test.js checks with findUndocumentedRoutes().
+import { z } from "zod";
+import {
+    registerUserSchema, loginSchema, refreshTokenSchema, twoFactorVerifySchema, forgotPasswordSchema,
+    resetPasswordSchema, verifyEmailSchema, updateProfileSchema, changePasswordSchema, totpCodeSchema,
+    disableTwoFactorSchema, insertGrantProgramSchema, updateGrantProgramSchema, applicationListQuerySchema,
+    applicationExportQuerySchema, insertGrantApplicationSchema, draftGrantApplicationSchema,
+    updateGrantApplicationStatusSchema, upsertRubricSchema, assignReviewerSchema, submitReviewSchema,
+    applicationStatsQuerySchema, createDisbursementSchema, updateDisbursementSchema, bankAccountSchema,
+    revealBankAccountSchema, createStaffUserSchema, updateUserRoleSchema, paymentMethods,
+} from "../shared/schema.js";
+
+// Request bodies, published under components.schemas
+const bodySchemas = {
+    RegisterUser: registerUserSchema,
+    Login: loginSchema,
+    RefreshToken: refreshTokenSchema,
+    TwoFactorVerify: twoFactorVerifySchema,
+    ForgotPassword: forgotPasswordSchema,
+    ResetPassword: resetPasswordSchema,
+    VerifyEmail: verifyEmailSchema,
+    UpdateProfile: updateProfileSchema,
+    ChangePassword: changePasswordSchema,
+    TotpCode: totpCodeSchema,
+    DisableTwoFactor: disableTwoFactorSchema,
+    GrantProgramInput: insertGrantProgramSchema,
+    GrantProgramUpdate: updateGrantProgramSchema,
+    // The owner comes from the access token, and contact details default to the applicant's profile
+    GrantApplicationInput: insertGrantApplicationSchema
+        .omit({ userId: true, fileUrl: true, fileName: true })
+        .partial({ fullName: true, email: true, phoneNumber: true }),
+    GrantApplicationDraft: draftGrantApplicationSchema,
+    GrantApplicationStatusUpdate: updateGrantApplicationStatusSchema,
+    PaymentMethodUpdate: z.object({ paymentMethod: z.enum(paymentMethods) }),
+    RubricInput: upsertRubricSchema,
+    AssignReviewer: assignReviewerSchema,
+    ReviewInput: submitReviewSchema,
+    DisbursementInput: createDisbursementSchema,
+    DisbursementUpdate: updateDisbursementSchema,
+    BankAccountInput: bankAccountSchema,
+    RevealBankAccount: revealBankAccountSchema,
+    StaffUserInput: createStaffUserSchema,
+    UserRoleUpdate: updateUserRoleSchema,
+};
+
+// Query strings of routes that read req.query by hand
+const cursorQuerySchema = z.object({
+    before: z.string().datetime().optional(),
+    limit: z.number().int().min(1).optional(),
+});
+const notificationQuerySchema = cursorQuerySchema.extend({ unread: z.enum(["true", "false"]).optional() });
+const pageQuerySchema = z.object({
+    limit: z.number().int().min(1).optional(),
+    offset: z.number().int().min(0).optional(),
+});
+const importQuerySchema = z.object({ dryRun: z.enum(["true", "false"]).optional() });
+
+const errorDescriptions = {
+    400: "Invalid input",
+    401: "Missing, invalid or expired credentials",
+    403: "Not allowed for this user",
+    404: "Not found",
+    409: "Conflicts with the current state",
+    423: "Account temporarily locked after failed logins",
+    429: "Too many attempts",
+};
+
+// One entry per route. auth: needs a bearer access token; permission: also needs that permission;
+// body: a key of bodySchemas; upload: multipart form with a single `file`; errors: statuses besides the
+// ones implied by auth, permission, body and query.
+const routes = [
+    { method: "post", path: "/api/auth/register", tag: "Auth", summary: "Create an applicant account", body: "RegisterUser", success: [201, "Account created, signed in"], rateLimited: true },
+    { method: "post", path: "/api/auth/login", tag: "Auth", summary: "Sign in with email and password", body: "Login", success: [200, "Tokens, or a 2FA challenge for enrolled users"], errors: [401, 403, 423], rateLimited: true },
+    { method: "post", path: "/api/auth/refresh", tag: "Auth", summary: "Exchange a refresh token for new tokens", body: "RefreshToken", errors: [401] },
+    { method: "post", path: "/api/auth/2fa/verify", tag: "Auth", summary: "Finish signing in with an authenticator or recovery code", body: "TwoFactorVerify", errors: [401, 423], rateLimited: true },
+    { method: "post", path: "/api/auth/logout", tag: "Auth", summary: "Revoke a refresh token and its rotations", body: "RefreshToken", success: [204, "Signed out"] },
+    { method: "post", path: "/api/auth/logout-all", tag: "Auth", summary: "Revoke every session of the current user", auth: true, success: [204, "Signed out everywhere"] },
+    { method: "post", path: "/api/auth/forgot-password", tag: "Auth", summary: "Email a password reset link", body: "ForgotPassword", success: [200, "Sent if the account exists"], rateLimited: true },
+    { method: "post", path: "/api/auth/reset-password", tag: "Auth", summary: "Choose a new password with a reset token", body: "ResetPassword", rateLimited: true },
+    { method: "post", path: "/api/auth/verify-email", tag: "Auth", summary: "Confirm an email address", body: "VerifyEmail", rateLimited: true },
+    { method: "post", path: "/api/auth/resend-verification", tag: "Auth", summary: "Send a new verification email", auth: true, errors: [409] },
+
+    { method: "get", path: "/api/me", tag: "Account", summary: "Current user's profile and permissions", auth: true },
+    { method: "patch", path: "/api/me", tag: "Account", summary: "Update the current user's profile", auth: true, body: "UpdateProfile" },
+    { method: "post", path: "/api/me/password", tag: "Account", summary: "Change password and get new tokens", auth: true, body: "ChangePassword" },
+    { method: "post", path: "/api/me/2fa/enroll", tag: "Account", summary: "Start two-factor enrollment", auth: true, errors: [409] },
+    { method: "post", path: "/api/me/2fa/activate", tag: "Account", summary: "Confirm a first code and turn on two-factor authentication", auth: true, body: "TotpCode", errors: [409] },
+    { method: "post", path: "/api/me/2fa/recovery-codes", tag: "Account", summary: "Replace the recovery codes", auth: true, body: "TotpCode", errors: [409] },
+    { method: "post", path: "/api/me/2fa/disable", tag: "Account", summary: "Turn off two-factor authentication", auth: true, body: "DisableTwoFactor", success: [204, "Two-factor authentication turned off"], errors: [403, 409] },
+    { method: "get", path: "/api/me/applications", tag: "Account", summary: "Current user's applications, drafts included", auth: true },
+    { method: "get", path: "/api/me/applications/:id", tag: "Account", summary: "One of the current user's applications", auth: true, errors: [404] },
+
+    { method: "get", path: "/api/grant-programs", tag: "Grant programs", summary: "Active grant programs" },
+    { method: "get", path: "/api/admin/grant-programs", tag: "Grant programs", summary: "All grant programs, archived included", permission: "programs.manage" },
+    { method: "post", path: "/api/grant-programs", tag: "Grant programs", summary: "Create a grant program", permission: "programs.manage", body: "GrantProgramInput", success: [201, "Program created"] },
+    { method: "patch", path: "/api/grant-programs/:id", tag: "Grant programs", summary: "Update a grant program", permission: "programs.manage", body: "GrantProgramUpdate", errors: [404] },
+    { method: "delete", path: "/api/grant-programs/:id", tag: "Grant programs", summary: "Archive a grant program", permission: "programs.manage", errors: [404] },
+
+    { method: "get", path: "/api/applications", tag: "Applications", summary: "Search submitted applications", permission: "applications.read", query: applicationListQuerySchema },
+    { method: "get", path: "/api/applications/export.csv", tag: "Applications", summary: "Export submitted applications as CSV", permission: "applications.read", query: applicationExportQuerySchema, success: [200, "CSV file", "text/csv"] },
+    { method: "post", path: "/api/applications/import", tag: "Applications", summary: "Import applications from a CSV file", permission: "applications.import", upload: true, query: importQuerySchema, success: [201, "Rows imported"] },
+    { method: "get", path: "/api/applications/user/:userId", tag: "Applications", summary: "Applications of one user", auth: true, description: "Allowed for the user themselves and staff with `applications.read`.", errors: [403] },
+    { method: "post", path: "/api/applications", tag: "Applications", summary: "Submit an application", auth: true, body: "GrantApplicationInput", success: [201, "Application submitted"], errors: [403] },
+    { method: "post", path: "/api/applications/drafts", tag: "Applications", summary: "Save a draft application", auth: true, body: "GrantApplicationDraft", success: [201, "Draft saved"] },
+    { method: "patch", path: "/api/applications/:id", tag: "Applications", summary: "Update a draft application", auth: true, body: "GrantApplicationDraft", errors: [403, 404, 409] },
+    { method: "post", path: "/api/applications/:id/submit", tag: "Applications", summary: "Submit a draft application", auth: true, errors: [400, 403, 404, 409] },
+    { method: "patch", path: "/api/applications/:id/status", tag: "Applications", summary: "Move an application to another status", permission: "applications.decide", body: "GrantApplicationStatusUpdate", errors: [404, 409] },
+    { method: "get", path: "/api/applications/:id/history", tag: "Applications", summary: "Status history of an application", auth: true, errors: [403, 404] },
+    { method: "patch", path: "/api/applications/:id/payment-method", tag: "Applications", summary: "Choose how an approved grant is paid", auth: true, description: "Allowed for the applicant and staff with `disbursements.write`.", body: "PaymentMethodUpdate", errors: [403, 404] },
+
+    { method: "post", path: "/api/applications/:id/documents", tag: "Documents", summary: "Upload a PDF or Word document", auth: true, upload: true, success: [201, "Document stored"], errors: [400, 403, 404] },
+    { method: "get", path: "/api/applications/:id/documents", tag: "Documents", summary: "Documents of an application", auth: true, errors: [403, 404] },
+    { method: "get", path: "/api/applications/:id/documents/:documentId/download", tag: "Documents", summary: "Download a document", auth: true, success: [200, "The file, or a redirect to a signed URL", "application/octet-stream"], errors: [403, 404] },
+    { method: "delete", path: "/api/applications/:id/documents/:documentId", tag: "Documents", summary: "Delete a document", auth: true, success: [204, "Document deleted"], errors: [400, 403, 404] },
+
+    { method: "get", path: "/api/rubrics/:grantType", tag: "Reviews", summary: "Scoring rubric of a grant type", auth: true },
+    { method: "put", path: "/api/rubrics/:grantType", tag: "Reviews", summary: "Replace the scoring rubric of a grant type", permission: "programs.manage", body: "RubricInput", errors: [404, 409] },
+    { method: "post", path: "/api/applications/:id/reviewers", tag: "Reviews", summary: "Assign a reviewer", permission: "reviews.assign", body: "AssignReviewer", success: [201, "Reviewer assigned"], errors: [404, 409] },
+    { method: "delete", path: "/api/applications/:id/reviewers/:reviewerId", tag: "Reviews", summary: "Remove a reviewer who has not scored yet", permission: "reviews.assign", success: [204, "Reviewer removed"], errors: [404, 409] },
+    { method: "get", path: "/api/reviews/assigned", tag: "Reviews", summary: "Applications assigned to the current reviewer", auth: true },
+    { method: "get", path: "/api/applications/:id/reviews", tag: "Reviews", summary: "Reviews of an application", auth: true, errors: [403, 404] },
+    { method: "post", path: "/api/applications/:id/reviews", tag: "Reviews", summary: "Submit scores as an assigned reviewer", auth: true, body: "ReviewInput", errors: [403, 404] },
+
+    { method: "get", path: "/api/admin/stats", tag: "Reporting", summary: "Funding and decision metrics", permission: "stats.read", description: "Applications are counted and filtered by `submittedAt`. Decision time runs from `submittedAt` to the first approval or rejection in the status history; decided applications without such an entry are left out.", query: applicationStatsQuerySchema },
+
+    { method: "get", path: "/api/applications/:id/disbursements", tag: "Disbursements", summary: "Payment tranches of an application", auth: true, errors: [403, 404] },
+    { method: "post", path: "/api/applications/:id/disbursements", tag: "Disbursements", summary: "Schedule a payment tranche", permission: "disbursements.write", body: "DisbursementInput", success: [201, "Tranche scheduled"], errors: [404] },
+    { method: "patch", path: "/api/disbursements/:id", tag: "Disbursements", summary: "Record the progress of a tranche", permission: "disbursements.write", body: "DisbursementUpdate", errors: [404, 409] },
+    { method: "put", path: "/api/applications/:id/bank-account", tag: "Disbursements", summary: "Save bank details for a transfer", auth: true, body: "BankAccountInput", errors: [403, 404] },
+    { method: "get", path: "/api/applications/:id/bank-account", tag: "Disbursements", summary: "Masked bank details", auth: true, errors: [403, 404] },
+    { method: "post", path: "/api/applications/:id/bank-account/reveal", tag: "Disbursements", summary: "Reveal full bank details, with an audited reason", permission: "bank_accounts.reveal", body: "RevealBankAccount", errors: [404] },
+    { method: "get", path: "/api/applications/:id/bank-account/access-log", tag: "Disbursements", summary: "Who revealed the bank details and why", permission: "bank_accounts.reveal" },
+
+    { method: "get", path: "/api/users", tag: "Users", summary: "All users", permission: "users.read" },
+    { method: "get", path: "/api/users/:id", tag: "Users", summary: "One user", permission: "users.read", errors: [404] },
+    { method: "post", path: "/api/users", tag: "Users", summary: "Invite a staff member", permission: "users.manage", body: "StaffUserInput", success: [201, "User created and invited"] },
+    { method: "post", path: "/api/users/:id/deactivate", tag: "Users", summary: "Block a user from signing in", permission: "users.manage", errors: [400, 404] },
+    { method: "post", path: "/api/users/:id/reactivate", tag: "Users", summary: "Let a deactivated user sign in again", permission: "users.manage", errors: [404] },
+    { method: "post", path: "/api/users/:id/2fa/reset", tag: "Users", summary: "Turn off a user's two-factor authentication", permission: "users.manage", errors: [404] },
+    { method: "post", path: "/api/users/:id/unlock", tag: "Users", summary: "Lift a failed-login lockout", permission: "users.manage", errors: [404] },
+    { method: "post", path: "/api/users/:id/password-reset", tag: "Users", summary: "Sign a user out and email a reset link", permission: "users.manage", errors: [404, 409] },
+    { method: "get", path: "/api/roles", tag: "Users", summary: "Roles and their permissions", permission: "users.read" },
+    { method: "patch", path: "/api/users/:id/role", tag: "Users", summary: "Change a user's role", permission: "users.manage", body: "UserRoleUpdate", errors: [404] },
+
+    { method: "get", path: "/api/notifications", tag: "Notifications", summary: "Current user's notifications, newest first", auth: true, query: notificationQuerySchema },
+    { method: "post", path: "/api/notifications/read-all", tag: "Notifications", summary: "Mark every notification read", auth: true },
+    { method: "patch", path: "/api/notifications/:id/read", tag: "Notifications", summary: "Mark a notification read", auth: true, errors: [404] },
+
+    { method: "get", path: "/api/chat/conversations", tag: "Chat", summary: "Conversations, most recent first", permission: "chat.respond", query: pageQuerySchema },
+    { method: "get", path: "/api/chat/:userId/messages", tag: "Chat", summary: "Messages of one conversation, oldest first", auth: true, description: "Applicants can only read their own conversation. Live messages go over the `/ws` WebSocket.", query: cursorQuerySchema, errors: [403] },
+
+    { method: "get", path: "/api/openapi.json", tag: "Meta", summary: "This document" },
+    { method: "get", path: "/api/docs", tag: "Meta", summary: "Interactive API documentation", success: [200, "HTML page", "text/html"] },
+];
+
+function toJsonSchema(schema) {
+    const { $schema, ...jsonSchema } = z.toJSONSchema(schema, {
+        // Document what clients send, before defaults and transforms are applied
+        io: "input",
+        unrepresentable: "any",
+        override: (ctx) => {
+            if (ctx.zodSchema._zod.def.type === "date") {
+                ctx.jsonSchema.type = "string";
+                ctx.jsonSchema.format = "date-time";
+            }
+        },
+    });
+    return jsonSchema;
+}
+
+// Express "/api/users/:id" becomes OpenAPI "/api/users/{id}"
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, "{$1}");
+}
+
+function buildOperation(route) {
+    const operation = { tags: [route.tag], summary: route.summary, operationId: `${route.method}${route.path}` };
+    const descriptions = [];
+    if (route.description) {
+        descriptions.push(route.description);
+    }
+    if (route.permission) {
+        descriptions.push(`Requires the \`${route.permission}\` permission.`);
+    }
+    if (descriptions.length > 0) {
+        operation.description = descriptions.join(" ");
+    }
+    const parameters = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: "path",
+        required: true,
+        schema: { type: "string" },
+    }));
+    if (route.query) {
+        const querySchema = toJsonSchema(route.query);
+        for (const [name, schema] of Object.entries(querySchema.properties)) {
+            parameters.push({ name, in: "query", required: (querySchema.required || []).includes(name), schema });
+        }
+    }
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+    if (route.body) {
+        operation.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: `#/components/schemas/${route.body}` } } },
+        };
+    }
+    if (route.upload) {
+        operation.requestBody = {
+            required: true,
+            content: {
+                "multipart/form-data": {
+                    schema: { type: "object", properties: { file: { type: "string", format: "binary" } }, required: ["file"] },
+                },
+            },
+        };
+    }
+    if (route.auth || route.permission) {
+        operation.security = [{ bearerAuth: [] }];
+    }
+    const [status, description, contentType = "application/json"] = route.success || [200, "Success"];
+    operation.responses = {
+        [status]: status === 204 ? { description } : { description, content: { [contentType]: {} } },
+    };
+    const errorStatuses = new Set(route.errors);
+    if (route.body || route.query || route.upload) {
+        errorStatuses.add(400);
+    }
+    if (route.auth || route.permission) {
+        errorStatuses.add(401);
+    }
+    if (route.permission) {
+        errorStatuses.add(403);
+    }
+    if (route.rateLimited) {
+        errorStatuses.add(429);
+    }
+    for (const errorStatus of [...errorStatuses].sort()) {
+        operation.responses[errorStatus] = {
+            description: errorDescriptions[errorStatus],
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        };
+    }
+    return operation;
+}
+
+export function buildOpenApiSpec() {
+    const paths = {};
+    for (const route of routes) {
+        const path = toOpenApiPath(route.path);
+        paths[path] = { ...paths[path], [route.method]: buildOperation(route) };
+    }
+    const schemas = {
+        Error: {
+            type: "object",
+            properties: {
+                message: { type: "string" },
+                errors: { type: "array", items: { type: "object" }, description: "Validation issues, when the input was rejected" },
+            },
+            required: ["message"],
+        },
+    };
+    for (const [name, schema] of Object.entries(bodySchemas)) {
+        schemas[name] = toJsonSchema(schema);
+    }
+    return {
+        openapi: "3.1.0",
+        info: {
+            title: "GrantHub API",
+            version: "1.0.0",
+            description: "Grant applications, reviews, disbursements and applicant support chat.",
+        },
+        paths,
+        components: {
+            schemas,
+            securitySchemes: {
+                bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+            },
+        },
+    };
+}
+
+// Method and path of every route registered on the app, e.g. { method: "get", path: "/api/me" }
+export function listRegisteredRoutes(app) {
+    return app._router.stack
+        .filter((layer) => layer.route)
+        .flatMap((layer) => Object.keys(layer.route.methods).map((method) => ({ method, path: layer.route.path })));
+}
+
+// API routes the spec does not describe, and spec entries with no matching route
+export function findUndocumentedRoutes(app, spec = buildOpenApiSpec()) {
+    const registered = listRegisteredRoutes(app).filter((route) => route.path.startsWith("/api/"));
+    const key = (method, path) => `${method.toUpperCase()} ${toOpenApiPath(path)}`;
+    const documented = new Set(Object.entries(spec.paths).flatMap(([path, operations]) => Object.keys(operations).map((method) => key(method, path))));
+    const registeredKeys = new Set(registered.map((route) => key(route.method, route.path)));
+    return {
+        missing: [...registeredKeys].filter((route) => !documented.has(route)),
+        stale: [...documented].filter((route) => !registeredKeys.has(route)),
+    };
+}
+
+export function renderDocsPage(specUrl) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>GrantHub API | Docs</title>
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.17.14/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.17.14/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#swagger-ui", persistAuthorization: true });
+    </script>
+</body>
+</html>`;
+}
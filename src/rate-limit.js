@@ -0,0 +1,91 @@
+// Rate limiters for the authentication routes.
+// Counters live in memory by default; RATE_LIMIT_STORE=postgres keeps them in the database so every
+// serverless instance shares the same limits.
+import { rateLimit, MemoryStore } from "express-rate-limit";
+import { storage } from "./storage.js";
+import { logger } from "./logger.js";
+import { config } from "./config.js";
+
+const AUTH_WINDOW_MS = 15 * 60 * 1000;
+const AUTH_IP_LIMIT = 30;
+const AUTH_ACCOUNT_LIMIT = 10;
+// Expired buckets are deleted after this many increments on an instance
+const PRUNE_EVERY = 500;
+
+export class PostgresRateLimitStore {
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.incrementsSincePrune = 0;
+    }
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+    async get(key) {
+        const bucket = await storage.getRateLimit(this.prefix + key);
+        return bucket ? { totalHits: bucket.hits, resetTime: bucket.resetAt } : undefined;
+    }
+    async increment(key) {
+        if (++this.incrementsSincePrune >= PRUNE_EVERY) {
+            this.incrementsSincePrune = 0;
+            storage.pruneRateLimits().catch((error) => {
+                logger.error("Failed to prune rate limit buckets", { component: "rate-limit", err: error });
+            });
+        }
+        const bucket = await storage.incrementRateLimit(this.prefix + key, this.windowMs);
+        return { totalHits: bucket.hits, resetTime: bucket.resetAt };
+    }
+    async decrement(key) {
+        await storage.decrementRateLimit(this.prefix + key);
+    }
+    async resetKey(key) {
+        await storage.resetRateLimit(this.prefix + key);
+    }
+}
+
+const stores = {
+    memory: () => new MemoryStore(),
+    postgres: (prefix) => new PostgresRateLimitStore(prefix),
+};
+
+function createStore(prefix) {
+    const name = config.rateLimitStore;
+    const factory = stores[name];
+    if (!factory) {
+        throw new Error(`Unknown rate limit store "${name}"`);
+    }
+    return factory(prefix);
+}
+
+// Same JSON shape as the rest of the API; express-rate-limit has already set Retry-After
+function sendLimited(req, res, next, options) {
+    const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1);
+    res.status(options.statusCode).json({ message: "Too many attempts, please try again later", retryAfter });
+}
+
+function normalizedEmail(req) {
+    return typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "";
+}
+
+// Per client IP, across all credential-handling auth routes
+export const authIpLimiter = rateLimit({
+    windowMs: AUTH_WINDOW_MS,
+    limit: AUTH_IP_LIMIT,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    store: createStore("auth-ip:"),
+    handler: sendLimited,
+});
+
+// Per target account, so spreading guesses over many IPs does not help
+export const authAccountLimiter = rateLimit({
+    windowMs: AUTH_WINDOW_MS,
+    limit: AUTH_ACCOUNT_LIMIT,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    store: createStore("auth-account:"),
+    keyGenerator: normalizedEmail,
+    // Requests without an email fail validation anyway
+    skip: (req) => !normalizedEmail(req),
+    handler: sendLimited,
+});
@@ -2,87 +2,186 @@ import { createServer } from "http";
 import { WebSocketServer } from "ws";
 import cors from "cors";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import multer from "multer";
-import { v2 as cloudinary } from "cloudinary";
-import { CloudinaryStorage } from "multer-storage-cloudinary";
 import path from "path";
-import { storage } from "./storage.js";
-import { registerUserSchema, loginSchema, insertGrantApplicationSchema, updateGrantApplicationStatusSchema } from "../shared/schema.js";
-
-// Cloudinary configuration
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+import crypto from "crypto";
+import { once } from "events";
+import { storage, setStorage } from "./storage.js";
+import { authenticate, requirePermission, issueAuthTokens, rotateRefreshToken, verifyAccessToken, hashToken, signTwoFactorChallenge, verifyTwoFactorChallenge, isTwoFactorSetupRequired, effectiveRole } from "./auth.js";
+import { regenerateRecoveryCodes, matchTotpCode, verifySecondFactor } from "./two-factor.js";
+import { generateTotpSecret, buildOtpauthUri } from "./totp.js";
+import { registerUserSchema, totpCodeSchema, twoFactorVerifySchema, disableTwoFactorSchema, updateProfileSchema, changePasswordSchema, updateUserRoleSchema, createStaffUserSchema, userRoles, rolePermissions, hasPermission, loginSchema, refreshTokenSchema, forgotPasswordSchema, resetPasswordSchema, verifyEmailSchema, insertGrantApplicationSchema, draftGrantApplicationSchema, applicationListQuerySchema, applicationStatsQuerySchema, applicationExportColumns, applicationExportQuerySchema, importApplicationStatusSchema, paymentMethods, disbursementStatusTransitions, createDisbursementSchema, updateDisbursementSchema, bankAccountSchema, revealBankAccountSchema, updateGrantApplicationStatusSchema, applicationStatusTransitions, canTransitionApplicationStatus, insertGrantProgramSchema, updateGrantProgramSchema, upsertRubricSchema, assignReviewerSchema, submitReviewSchema } from "../shared/schema.js";
+import { validateReviewScores, computeWeightedScore, summarizeReviews } from "./scoring.js";
+import { getFileStorage } from "./file-storage.js";
+import { detectDocumentType } from "./file-types.js";
+import { notify } from "./notifications.js";
+import { authIpLimiter, authAccountLimiter } from "./rate-limit.js";
+import { getLockoutSeconds, recordLoginFailure, clearLoginFailures } from "./account-lockout.js";
+import { sendPasswordResetEmail, sendForcedPasswordResetEmail, sendAccountInviteEmail, sendVerificationEmail, consumeToken } from "./account-emails.js";
+import { toCsvRow, parseCsv, rowsToObjects } from "./csv.js";
+import { encrypt, decrypt, maskTail, maskName } from "./encryption.js";
+import { buildOpenApiSpec, renderDocsPage } from "./openapi.js";
+import { logger } from "./logger.js";
+import { checkReadiness, onShutdown } from "./health.js";
+import { renderMetrics, createGauge, applicationStatusChanges } from "./metrics.js";
+import { config } from "./config.js";
 
-// Configure Cloudinary storage for multer
-const cloudinaryStorage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: "granthub-applications",
-        allowed_formats: ["pdf", "doc", "docx"],
-        resource_type: "auto",
-    },
-});
+const authLog = logger.child({ component: "auth" });
+const apiLog = logger.child({ component: "api" });
+const wsLog = logger.child({ component: "ws" });
 
+// Uploads are buffered in memory so their content can be checked before reaching a storage driver
 const upload = multer({
-    storage: cloudinaryStorage,
+    storage: multer.memoryStorage(),
     limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
+        fileSize: config.uploads.maxFileSizeBytes,
+        files: 1,
     }
 });
 
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
-// Middleware to verify JWT token and attach user to request
-function authenticate(req, res, next) {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-        return res.status(401).json({ message: "Authentication required" });
+// Parses a single "file" field, turning multer errors into 400 responses
+function uploadFile(req, res, next) {
+    upload.single("file")(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === "LIMIT_FILE_SIZE"
+                ? `File is too large (${config.uploads.maxFileSizeBytes / (1024 * 1024)}MB maximum)`
+                : err.message;
+            return res.status(400).json({ message });
+        }
+        next(err);
+    });
+}
+
+// Maximum number of documents attached to a single application
+const MAX_DOCUMENTS_PER_APPLICATION = 10;
+
+// Rows fetched per query while streaming the CSV export
+const EXPORT_BATCH_SIZE = 500;
+// Largest CSV accepted by the bulk import
+const MAX_IMPORT_ROWS = 5000;
+
+// Number of messages sent over the socket for a single history request
+const CHAT_HISTORY_LIMIT = 100;
+
+// Application statuses in which reviewers can still be assigned and submit scores
+const REVIEWABLE_STATUSES = ["pending", "under_review"];
+// Application statuses in which the applicant can still change their documents
+const DOCUMENT_EDITABLE_STATUSES = ["draft", ...REVIEWABLE_STATUSES];
+const UNVERIFIED_EMAIL_MESSAGE = "Please verify your email address before submitting an application";
+
+// Parse a ?limit= query value, falling back to a default and capping it at max
+function parseLimit(value, fallback, max) {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 1) {
+        return fallback;
     }
+    return Math.min(parsed, max);
+}
 
-    const token = authHeader.split(" ")[1];
-    try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (error) {
-        return res.status(401).json({ message: "Invalid or expired token" });
+// User record without the password hash or the encrypted 2FA secret
+function publicUser(user) {
+    const { password, totpSecretEncrypted, ...rest } = user;
+    return rest;
+}
+// 423 for a login attempt against a locked account
+function sendLocked(res, retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(423).json({ message: "Account is temporarily locked after too many failed logins", retryAfter });
+}
+// Contact details from the user's profile, used where a new application leaves them out
+function profileDefaults(user) {
+    const defaults = { fullName: user.fullName, email: user.email };
+    if (user.phoneNumber) {
+        defaults.phoneNumber = user.phoneNumber;
+    }
+    return defaults;
+}
+// Whether a program is accepting applications at the given moment
+function isProgramOpen(program, now = new Date()) {
+    if (program.status !== "active") {
+        return false;
+    }
+    if (program.opensAt && now < program.opensAt) {
+        return false;
     }
+    if (program.closesAt && now > program.closesAt) {
+        return false;
+    }
+    return true;
 }
 
-// Middleware to check admin role (must be used after authenticate)
-function requireAdmin(req, res, next) {
-    if (!req.user || req.user.role !== "admin") {
-        return res.status(403).json({ message: "Admin access required" });
+// Returns why a program cannot take an application for the given amount, or null if it can
+function getProgramRejection(program, requestedAmount, now = new Date()) {
+    if (!program) {
+        return "Unknown grant program";
+    }
+    if (!isProgramOpen(program, now)) {
+        return "This grant program is not accepting applications";
     }
-    next();
+    if (requestedAmount < program.minAmount || requestedAmount > program.maxAmount) {
+        return `Requested amount must be between ${program.minAmount} and ${program.maxAmount}`;
+    }
+    return null;
+}
+
+// The amount an approved application may be paid out, and how much of it the tranches already cover
+function summarizeDisbursements(application, items) {
+    // Falls back to the requested amount when the decision did not set a different one
+    const approvedAmount = application.disbursementAmount ?? application.requestedAmount;
+    const total = (list) => list.reduce((sum, item) => sum + item.amount, 0);
+    const scheduledTotal = total(items.filter((item) => item.status !== "failed"));
+    return {
+        approvedAmount,
+        scheduledTotal,
+        paidTotal: total(items.filter((item) => item.status === "cleared")),
+        remaining: approvedAmount - scheduledTotal,
+    };
 }
 
-export async function registerRoutes(app) {
-    // Enable CORS for specific frontend origins
-    const allowedOrigins = [
-        'https://grant-manager-frontend.vercel.app',
-        'http://localhost:3000',
-        'http://localhost:5173'
-    ];
+function decryptBankAccount(account) {
+    return {
+        id: account.id,
+        applicationId: account.applicationId,
+        accountHolder: decrypt(account.accountHolderEncrypted, "bankDetails"),
+        bankName: decrypt(account.bankNameEncrypted, "bankDetails"),
+        accountNumber: decrypt(account.accountNumberEncrypted, "bankDetails"),
+        routingCode: decrypt(account.routingCodeEncrypted, "bankDetails"),
+        createdAt: account.createdAt,
+        updatedAt: account.updatedAt,
+    };
+}
 
+// The default view of bank details; the full values are only returned by the audited reveal route
+function maskBankAccount(account) {
+    const plain = decryptBankAccount(account);
+    return {
+        ...plain,
+        accountHolder: maskName(plain.accountHolder),
+        accountNumber: maskTail(plain.accountNumber),
+        routingCode: maskTail(plain.routingCode, 2),
+        masked: true,
+    };
+}
 
+// Pass `storage` to run the API against another backend, e.g. a MemoryStorage in tests; it replaces
+// the shared instance, so auth, notifications and rate limiting use it as well
+export async function registerRoutes(app, options = {}) {
+    if (options.storage) {
+        setStorage(options.storage);
+    }
+    // CORS for the frontend origins in CORS_ALLOWED_ORIGINS. Other origins get no CORS headers, so
+    // browsers block their responses; requests without an Origin (curl, mobile apps) are unaffected.
     app.use(cors({
         origin: function (origin, callback) {
-            // allow requests with no origin (like mobile apps or curl requests)
-            if (!origin) return callback(null, true);
-            if (allowedOrigins.indexOf(origin) === -1) {
-                return callback(null, true); // Allow all for now to avoid blocking user during transition
-            }
-            return callback(null, true);
+            callback(null, !origin || config.corsAllowedOrigins.includes(origin));
         },
         credentials: true
     }));
 
     // Root route with API documentation
-    app.get("/", (req, res) => {
+    app.get("/", async (req, res) => {
+        const { ready, checks } = await checkReadiness();
+        const problems = Object.entries(checks).filter(([, result]) => result !== "ok").map(([check, result]) => `${check} ${result}`);
         res.send(`
             <!DOCTYPE html>
             <html lang="en">
@@ -145,6 +244,14 @@ export async function registerRoutes(app) {
                         margin-right: 8px;
                         box-shadow: 0 0 10px #4ade80;
                     }
+                    .status.degraded {
+                        background: rgba(234, 179, 8, 0.2);
+                        color: #facc15;
+                    }
+                    .status.degraded::before {
+                        background: #facc15;
+                        box-shadow: 0 0 10px #facc15;
+                    }
                     p { line-height: 1.6; color: #94a3b8; }
                     .endpoints {
                         margin-top: 32px;
@@ -168,18 +275,27 @@ export async function registerRoutes(app) {
                         border-radius: 4px;
                         font-size: 0.9em;
                     }
+                    a { color: inherit; }
                 </style>
             </head>
             <body>
                 <div class="container">
-                    <div class="status">System Online</div>
+                    ${ready
+                        ? `<div class="status">System Online</div>`
+                        : `<div class="status degraded">Degraded: ${problems.join(", ")}</div>`}
                     <h1>GrantHub API</h1>
                     <p>Welcome to the GrantHub backend. This service manages grant applications, user authentication, and real-time administrative communication.</p>
                     
                     <div class="endpoints">
+                        <div class="endpoint">
+                            <span>Docs:</span> <a href="/api/docs"><code>/api/docs</code></a> (OpenAPI: <code>/api/openapi.json</code>)
+                        </div>
                         <div class="endpoint">
                             <span>Auth:</span> <code>/api/auth/*</code>
                         </div>
+                        <div class="endpoint">
+                            <span>Account:</span> <code>/api/me</code>
+                        </div>
                         <div class="endpoint">
                             <span>Applications:</span> <code>/api/applications/*</code>
                         </div>
@@ -189,15 +305,52 @@ export async function registerRoutes(app) {
                         <div class="endpoint">
                             <span>Real-time:</span> <code>/ws</code> (WebSocket)
                         </div>
+                        <div class="endpoint">
+                            <span>Monitoring:</span> <code>/healthz</code>, <code>/readyz</code>, <code>/metrics</code> (Prometheus)
+                        </div>
                     </div>
                 </div>
             </body>
             </html>
         `);
     });
+    // OpenAPI document for every route below, built once from the zod schemas (see openapi.js)
+    const openApiSpec = buildOpenApiSpec();
+    app.get("/api/openapi.json", (req, res) => {
+        res.json(openApiSpec);
+    });
+    app.get("/api/docs", (req, res) => {
+        res.send(renderDocsPage("/api/openapi.json"));
+    });
+
+    // Monitoring: liveness, readiness (storage reachable, migrations applied, not shutting down) and
+    // Prometheus metrics. METRICS_TOKEN, when set, must be sent as a bearer token to read /metrics.
+    app.get("/healthz", (req, res) => {
+        res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+    });
+    app.get("/readyz", async (req, res) => {
+        const { ready, checks } = await checkReadiness();
+        res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not ready", checks });
+    });
+    app.get("/metrics", async (req, res) => {
+        try {
+            if (config.metricsToken && req.get("Authorization") !== `Bearer ${config.metricsToken}`) {
+                return res.status(401).json({ message: "Invalid metrics token" });
+            }
+            res.type("text/plain; version=0.0.4").send(await renderMetrics());
+        }
+        catch (error) {
+            apiLog.error("Metrics error", { err: error });
+            res.status(500).json({ message: "Failed to collect metrics" });
+        }
+    });
+    createGauge("db_pool_connections", "Database pool connections by state", () => {
+        const stats = storage.getConnectionPoolStats();
+        return stats && Object.entries(stats).map(([state, value]) => ({ labels: { state }, value }));
+    });
 
     // Authentication routes
-    app.post("/api/auth/register", async (req, res) => {
+    app.post("/api/auth/register", authIpLimiter, async (req, res) => {
         try {
             // Use public registration schema that omits role field
             const validatedData = registerUserSchema.parse(req.body);
@@ -216,20 +369,23 @@ export async function registerRoutes(app) {
                 password: hashedPassword,
                 role: "user", // Server-side only - never from client
             });
-            // Generate JWT token
-            const token = jwt.sign({ id: user.id, email: user.email, role: user.role }, JWT_SECRET, { expiresIn: "7d" });
-            // Remove password from response
-            const { password, ...userWithoutPassword } = user;
-            res.status(201).json({ user: userWithoutPassword, token });
+            sendVerificationEmail(user).catch((error) => {
+                authLog.error("Failed to send verification email", { err: error });
+            });
+            // Generate access and refresh tokens
+            const { token, refreshToken } = await issueAuthTokens(user);
+            // Remove password and 2FA secret from response
+            const userWithoutPassword = publicUser(user);
+            res.status(201).json({ user: userWithoutPassword, token, refreshToken });
         }
         catch (error) {
             if (error.name === "ZodError") {
-                return res.status(400).json({ message: "Invalid input data", errors: error.errors });
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
             }
             res.status(500).json({ message: "Registration failed" });
         }
     });
-    app.post("/api/auth/login", async (req, res) => {
+    app.post("/api/auth/login", authIpLimiter, authAccountLimiter, async (req, res) => {
         try {
             const validatedData = loginSchema.parse(req.body);
             // Find user
@@ -237,272 +393,1727 @@ export async function registerRoutes(app) {
             if (!user) {
                 return res.status(401).json({ message: "Invalid credentials" });
             }
+            const lockedFor = getLockoutSeconds(user);
+            if (lockedFor > 0) {
+                return sendLocked(res, lockedFor);
+            }
             // Verify password
             const isValidPassword = await bcrypt.compare(validatedData.password, user.password);
             if (!isValidPassword) {
+                const lockoutSeconds = await recordLoginFailure(user);
+                if (lockoutSeconds > 0) {
+                    return sendLocked(res, lockoutSeconds);
+                }
                 return res.status(401).json({ message: "Invalid credentials" });
             }
-            // Generate JWT token
-            const token = jwt.sign({ id: user.id, email: user.email, role: user.role }, JWT_SECRET, { expiresIn: "7d" });
-            // Remove password from response
-            const { password, ...userWithoutPassword } = user;
-            res.json({ user: userWithoutPassword, token });
+            if (user.deactivatedAt) {
+                return res.status(403).json({ message: "Account is deactivated" });
+            }
+            // Enrolled users finish signing in at /api/auth/2fa/verify
+            if (user.totpEnabledAt) {
+                return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user) });
+            }
+            await clearLoginFailures(user);
+            // Generate access and refresh tokens
+            const { token, refreshToken } = await issueAuthTokens(user);
+            // Remove password and 2FA secret from response
+            const userWithoutPassword = publicUser(user);
+            res.json({ user: userWithoutPassword, token, refreshToken, twoFactorSetupRequired: isTwoFactorSetupRequired(user) });
         }
         catch (error) {
             if (error.name === "ZodError") {
-                return res.status(400).json({ message: "Invalid input data", errors: error.errors });
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
             }
             res.status(500).json({ message: "Login failed" });
         }
     });
-    // Grant application routes
-    app.get("/api/applications", authenticate, requireAdmin, async (req, res) => {
+    app.post("/api/auth/refresh", async (req, res) => {
         try {
-            const applications = await storage.getAllApplications();
-            res.json(applications);
+            const validatedData = refreshTokenSchema.parse(req.body);
+            const { user, token, refreshToken } = await rotateRefreshToken(validatedData.refreshToken);
+            const userWithoutPassword = publicUser(user);
+            res.json({ user: userWithoutPassword, token, refreshToken });
         }
         catch (error) {
-            res.status(500).json({ message: "Failed to fetch applications" });
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            if (error.message === "Invalid refresh token") {
+                return res.status(401).json({ message: "Invalid or expired refresh token" });
+            }
+            res.status(500).json({ message: "Token refresh failed" });
         }
     });
-
-    app.get("/api/applications/user/:userId", async (req, res) => {
+    // Second login step for users with 2FA; failed codes count towards the account lockout
+    app.post("/api/auth/2fa/verify", authIpLimiter, async (req, res) => {
         try {
-            const { userId } = req.params;
-            // In this version without JWT authentication, 
-            // you would need to implement a different way to verify user identity
-            // For now, this check is disabled since authentication is removed
-            // You may want to implement session-based auth or another method
-            const applications = await storage.getApplicationsByUser(userId);
-            res.json(applications);
+            const validatedData = twoFactorVerifySchema.parse(req.body);
+            const user = await verifyTwoFactorChallenge(validatedData.challengeToken);
+            if (!user) {
+                return res.status(401).json({ message: "Invalid or expired challenge, please sign in again" });
+            }
+            const lockedFor = getLockoutSeconds(user);
+            if (lockedFor > 0) {
+                return sendLocked(res, lockedFor);
+            }
+            const verified = await verifySecondFactor(user, validatedData);
+            if (!verified) {
+                const lockoutSeconds = await recordLoginFailure(user);
+                if (lockoutSeconds > 0) {
+                    return sendLocked(res, lockoutSeconds);
+                }
+                return res.status(401).json({ message: "Invalid authentication code" });
+            }
+            await clearLoginFailures(user);
+            const { token, refreshToken } = await issueAuthTokens(user);
+            res.json({ user: publicUser(user), token, refreshToken });
         }
         catch (error) {
-            res.status(500).json({ message: "Failed to fetch applications" });
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            authLog.error("Two-factor verification error", { err: error });
+            res.status(500).json({ message: "Two-factor verification failed" });
         }
     });
-    app.post("/api/applications", async (req, res) => {
+    // Ends the session the refresh token belongs to; works even after the access token expired
+    app.post("/api/auth/logout", async (req, res) => {
         try {
-            console.log('[API] Creating application with body:', JSON.stringify(req.body, null, 2));
-            // Standard JSON submission (application/json)
-            const validatedData = insertGrantApplicationSchema.parse(req.body);
-
-            // File handling disabled for now
-            validatedData.fileUrl = "";
-            validatedData.fileName = "";
-
-            const application = await storage.createApplication(validatedData);
-
-            // In a real app, send email notification here using SendGrid/Nodemailer
-            console.log(`[EMAIL NOTIFICATION] New application submitted: ${application.id} by ${application.fullName}`);
-            console.log(`[EMAIL NOTIFICATION] Would send email to: ${application.email}`);
-
-            res.status(201).json(application);
+            const validatedData = refreshTokenSchema.parse(req.body);
+            const record = await storage.getRefreshTokenByHash(hashToken(validatedData.refreshToken));
+            if (record) {
+                await storage.revokeRefreshTokenFamily(record.familyId);
+            }
+            res.status(204).end();
         }
         catch (error) {
             if (error.name === "ZodError") {
-                console.error('[API] Validation error:', JSON.stringify(error.errors, null, 2));
-                return res.status(400).json({ message: "Invalid input data", errors: error.errors });
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
             }
-            console.error('[API] Application submission error:', error);
-            res.status(500).json({ message: "Failed to create application" });
+            res.status(500).json({ message: "Logout failed" });
         }
     });
-
-
-    app.patch("/api/applications/:id/status", authenticate, requireAdmin, async (req, res) => {
-
+    // Revokes every refresh token and every access token issued so far
+    app.post("/api/auth/logout-all", authenticate, async (req, res) => {
         try {
-            const { id } = req.params;
-            const validatedData = updateGrantApplicationStatusSchema.parse(req.body);
-            const application = await storage.updateApplicationStatus(id, validatedData.status, validatedData.adminNotes, validatedData.disbursementAmount);
-            // In a real app, send email notification to user about status change
-            console.log(`[EMAIL NOTIFICATION] Application ${id} status updated to ${validatedData.status}`);
-            console.log(`[EMAIL NOTIFICATION] Would send email to: ${application.email}`);
-            console.log(`[EMAIL NOTIFICATION] Subject: Your Grant Application Status Update`);
-            console.log(`[EMAIL NOTIFICATION] Message: Your application "${application.projectTitle}" is now ${validatedData.status}`);
-            if (validatedData.disbursementAmount) {
-                console.log(`[EMAIL NOTIFICATION] Disbursement amount: $${validatedData.disbursementAmount}`);
+            await storage.revokeAllRefreshTokens(req.user.id);
+            await storage.incrementTokenVersion(req.user.id);
+            res.status(204).end();
+        }
+        catch (error) {
+            res.status(500).json({ message: "Logout failed" });
+        }
+    });
+    // Always answers the same way so the endpoint cannot be used to find registered emails
+    app.post("/api/auth/forgot-password", authIpLimiter, authAccountLimiter, async (req, res) => {
+        try {
+            const validatedData = forgotPasswordSchema.parse(req.body);
+            const user = await storage.getUserByEmail(validatedData.email);
+            // Not awaited: waiting for the mail server, or failing when it does, would give away the account
+            if (user && !user.deactivatedAt) {
+                sendPasswordResetEmail(user).catch((error) => {
+                    authLog.error("Failed to send password reset email", { err: error });
+                });
             }
-            res.json(application);
+            res.json({ message: "If that email is registered, a password reset link has been sent" });
         }
         catch (error) {
             if (error.name === "ZodError") {
-                return res.status(400).json({ message: "Invalid input data", errors: error.errors });
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
             }
-            if (error.message === "Application not found") {
-                return res.status(404).json({ message: "Application not found" });
+            authLog.error("Password reset request error", { err: error });
+            res.status(500).json({ message: "Failed to request password reset" });
+        }
+    });
+    app.post("/api/auth/reset-password", authIpLimiter, async (req, res) => {
+        try {
+            const validatedData = resetPasswordSchema.parse(req.body);
+            const record = await consumeToken(validatedData.token, "password_reset");
+            const user = record && await storage.getUser(record.userId);
+            if (!user || user.deactivatedAt) {
+                return res.status(400).json({ message: "Invalid or expired reset token" });
             }
-            res.status(500).json({ message: "Failed to update application status" });
+            const hashedPassword = await bcrypt.hash(validatedData.password, 10);
+            await storage.updateUserPassword(record.userId, hashedPassword);
+            // Sign out every existing session
+            await storage.revokeAllRefreshTokens(record.userId);
+            res.json({ message: "Password has been reset" });
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            authLog.error("Password reset error", { err: error });
+            res.status(500).json({ message: "Failed to reset password" });
         }
     });
-    app.patch("/api/applications/:id/payment-method", authenticate, async (req, res) => {
+    app.post("/api/auth/verify-email", authIpLimiter, async (req, res) => {
         try {
-            const { id } = req.params;
-            const { paymentMethod } = req.body;
-
-            if (!["cheque", "bank_transfer"].includes(paymentMethod)) {
-                return res.status(400).json({ message: "Invalid payment method" });
+            const validatedData = verifyEmailSchema.parse(req.body);
+            const record = await consumeToken(validatedData.token, "email_verification");
+            if (!record) {
+                return res.status(400).json({ message: "Invalid or expired verification token" });
             }
-
-            const application = await storage.getApplication(id);
-            if (!application) {
+            const user = await storage.setEmailVerified(record.userId);
+            if (!user) {
+                return res.status(400).json({ message: "Invalid or expired verification token" });
+            }
+            const userWithoutPassword = publicUser(user);
+            res.json({ user: userWithoutPassword });
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            authLog.error("Email verification error", { err: error });
+            res.status(500).json({ message: "Failed to verify email" });
+        }
+    });
+    app.post("/api/auth/resend-verification", authenticate, async (req, res) => {
+        try {
+            const user = await storage.getUser(req.user.id);
+            if (user.emailVerified) {
+                return res.status(409).json({ message: "Email is already verified" });
+            }
+            await sendVerificationEmail(user);
+            res.json({ message: "Verification email sent" });
+        }
+        catch (error) {
+            authLog.error("Resend verification error", { err: error });
+            res.status(500).json({ message: "Failed to send verification email" });
+        }
+    });
+    // Current user routes; the user always comes from the access token
+    app.get("/api/me", authenticate, async (req, res) => {
+        try {
+            const user = await storage.getUser(req.user.id);
+            const userWithoutPassword = publicUser(user);
+            res.json({
+                ...userWithoutPassword,
+                permissions: rolePermissions[effectiveRole(user)] || [],
+                twoFactorSetupRequired: isTwoFactorSetupRequired(user),
+                recoveryCodesRemaining: user.totpEnabledAt ? await storage.countUnusedRecoveryCodes(user.id) : null,
+            });
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch profile" });
+        }
+    });
+    app.patch("/api/me", authenticate, async (req, res) => {
+        try {
+            const validatedData = updateProfileSchema.parse(req.body);
+            if (Object.keys(validatedData).length === 0) {
+                return res.status(400).json({ message: "Nothing to update" });
+            }
+            const user = await storage.updateUserProfile(req.user.id, validatedData);
+            const userWithoutPassword = publicUser(user);
+            res.json(userWithoutPassword);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Profile update error", { err: error });
+            res.status(500).json({ message: "Failed to update profile" });
+        }
+    });
+    // Signs out every other session; the response carries fresh tokens for this one
+    app.post("/api/me/password", authenticate, async (req, res) => {
+        try {
+            const validatedData = changePasswordSchema.parse(req.body);
+            const user = await storage.getUser(req.user.id);
+            const isValidPassword = await bcrypt.compare(validatedData.currentPassword, user.password);
+            if (!isValidPassword) {
+                return res.status(400).json({ message: "Current password is incorrect" });
+            }
+            const hashedPassword = await bcrypt.hash(validatedData.newPassword, 10);
+            const updatedUser = await storage.updateUserPassword(user.id, hashedPassword);
+            await storage.revokeAllRefreshTokens(user.id);
+            const { token, refreshToken } = await issueAuthTokens(updatedUser);
+            res.json({ token, refreshToken });
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Password change error", { err: error });
+            res.status(500).json({ message: "Failed to change password" });
+        }
+    });
+    // Two-factor enrollment: enroll returns the secret, activate confirms a first code and turns 2FA on
+    app.post("/api/me/2fa/enroll", authenticate, async (req, res) => {
+        try {
+            const user = await storage.getUser(req.user.id);
+            if (user.totpEnabledAt) {
+                return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+            }
+            const secret = generateTotpSecret();
+            await storage.setTotpSecret(user.id, encrypt(secret, "totp"));
+            res.json({ secret, otpauthUri: buildOtpauthUri(secret, user.email) });
+        }
+        catch (error) {
+            apiLog.error("2FA enrollment error", { err: error });
+            res.status(500).json({ message: "Failed to start two-factor enrollment" });
+        }
+    });
+    app.post("/api/me/2fa/activate", authenticate, async (req, res) => {
+        try {
+            const validatedData = totpCodeSchema.parse(req.body);
+            const user = await storage.getUser(req.user.id);
+            if (user.totpEnabledAt) {
+                return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+            }
+            if (!user.totpSecretEncrypted) {
+                return res.status(400).json({ message: "Start enrollment first" });
+            }
+            const counter = matchTotpCode(user, validatedData.code);
+            if (counter === null) {
+                return res.status(400).json({ message: "Invalid authentication code" });
+            }
+            await storage.enableTotp(user.id, counter);
+            const recoveryCodes = await regenerateRecoveryCodes(user.id);
+            res.json({ recoveryCodes });
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("2FA activation error", { err: error });
+            res.status(500).json({ message: "Failed to enable two-factor authentication" });
+        }
+    });
+    app.post("/api/me/2fa/recovery-codes", authenticate, async (req, res) => {
+        try {
+            const validatedData = totpCodeSchema.parse(req.body);
+            const user = await storage.getUser(req.user.id);
+            if (!user.totpEnabledAt) {
+                return res.status(409).json({ message: "Two-factor authentication is not enabled" });
+            }
+            if (!(await verifySecondFactor(user, validatedData))) {
+                return res.status(400).json({ message: "Invalid authentication code" });
+            }
+            const recoveryCodes = await regenerateRecoveryCodes(user.id);
+            res.json({ recoveryCodes });
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Recovery code error", { err: error });
+            res.status(500).json({ message: "Failed to regenerate recovery codes" });
+        }
+    });
+    app.post("/api/me/2fa/disable", authenticate, async (req, res) => {
+        try {
+            const validatedData = disableTwoFactorSchema.parse(req.body);
+            const user = await storage.getUser(req.user.id);
+            if (!user.totpEnabledAt) {
+                return res.status(409).json({ message: "Two-factor authentication is not enabled" });
+            }
+            if (isTwoFactorSetupRequired({ ...user, totpEnabledAt: null })) {
+                return res.status(403).json({ message: "Your role requires two-factor authentication" });
+            }
+            const isValidPassword = await bcrypt.compare(validatedData.password, user.password);
+            if (!isValidPassword || !(await verifySecondFactor(user, validatedData))) {
+                return res.status(400).json({ message: "Invalid password or authentication code" });
+            }
+            await storage.disableTotp(user.id);
+            res.status(204).end();
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("2FA disable error", { err: error });
+            res.status(500).json({ message: "Failed to disable two-factor authentication" });
+        }
+    });
+    app.get("/api/me/applications", authenticate, async (req, res) => {
+        try {
+            const applications = await storage.getApplicationsByUser(req.user.id);
+            res.json(applications);
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch applications" });
+        }
+    });
+    app.get("/api/me/applications/:id", authenticate, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            // Someone else's application looks the same as a missing one
+            if (!application || application.userId !== req.user.id) {
                 return res.status(404).json({ message: "Application not found" });
             }
-
-            // Only the owner can update their payment method
-            if (application.userId !== req.user.id && req.user.role !== "admin") {
-                return res.status(403).json({ message: "Access denied" });
+            res.json(application);
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch application" });
+        }
+    });
+    // Grant program routes
+    app.get("/api/grant-programs", async (req, res) => {
+        try {
+            const programs = await storage.getGrantPrograms();
+            res.json(programs.map((program) => ({ ...program, isOpen: isProgramOpen(program) })));
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch grant programs" });
+        }
+    });
+    app.get("/api/admin/grant-programs", authenticate, requirePermission("programs.manage"), async (req, res) => {
+        try {
+            const programs = await storage.getGrantPrograms({ includeArchived: true });
+            res.json(programs.map((program) => ({ ...program, isOpen: isProgramOpen(program) })));
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch grant programs" });
+        }
+    });
+    app.post("/api/grant-programs", authenticate, requirePermission("programs.manage"), async (req, res) => {
+        try {
+            const validatedData = insertGrantProgramSchema.parse(req.body);
+            const existingProgram = await storage.getGrantProgramBySlug(validatedData.slug);
+            if (existingProgram) {
+                return res.status(400).json({ message: "A grant program with this slug already exists" });
             }
-
-            // Only allowed if status is approved
-            if (application.status !== "approved") {
-                return res.status(400).json({ message: "Payment method can only be selected for approved applications" });
+            const program = await storage.createGrantProgram(validatedData);
+            res.status(201).json(program);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
             }
-
-            const updatedApplication = await storage.updatePaymentMethod(id, paymentMethod);
-            res.json(updatedApplication);
+            apiLog.error("Grant program creation error", { err: error });
+            res.status(500).json({ message: "Failed to create grant program" });
+        }
+    });
+    app.patch("/api/grant-programs/:id", authenticate, requirePermission("programs.manage"), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const validatedData = updateGrantProgramSchema.parse(req.body);
+            const program = await storage.getGrantProgram(id);
+            if (!program) {
+                return res.status(404).json({ message: "Grant program not found" });
+            }
+            // Re-check amount and date ordering against the values that are not being changed
+            insertGrantProgramSchema.parse({ ...program, ...validatedData });
+            const updatedProgram = await storage.updateGrantProgram(id, validatedData);
+            res.json(updatedProgram);
         }
         catch (error) {
-            console.error('[API] Payment method update error:', error);
-            res.status(500).json({ message: "Failed to update payment method" });
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Grant program update error", { err: error });
+            res.status(500).json({ message: "Failed to update grant program" });
+        }
+    });
+    // Programs are archived rather than deleted so existing applications keep their reference
+    app.delete("/api/grant-programs/:id", authenticate, requirePermission("programs.manage"), async (req, res) => {
+        try {
+            const program = await storage.updateGrantProgram(req.params.id, { status: "archived" });
+            res.json(program);
+        }
+        catch (error) {
+            if (error.message === "Grant program not found") {
+                return res.status(404).json({ message: "Grant program not found" });
+            }
+            res.status(500).json({ message: "Failed to archive grant program" });
+        }
+    });
+    // Grant application routes
+    app.get("/api/applications", authenticate, requirePermission("applications.read"), async (req, res) => {
+        try {
+            const query = applicationListQuerySchema.parse(req.query);
+            const { applications, total } = await storage.searchApplications(query);
+            res.json({ applications, total, limit: query.limit, offset: query.offset });
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid query parameters", errors: error.issues });
+            }
+            res.status(500).json({ message: "Failed to fetch applications" });
         }
     });
 
-    // User routes (admin only)
-
-    app.get("/api/users", authenticate, requireAdmin, async (req, res) => {
-
+    // Streams the admin list as CSV; accepts the same filters and sort as GET /api/applications
+    app.get("/api/applications/export.csv", authenticate, requirePermission("applications.read"), async (req, res) => {
+        let query;
         try {
-            const users = await storage.getAllUsers();
-            // Remove passwords from response
-            const usersWithoutPasswords = users.map(({ password, ...user }) => user);
-            res.json(usersWithoutPasswords);
+            query = applicationExportQuerySchema.parse(req.query);
         }
         catch (error) {
-            res.status(500).json({ message: "Failed to fetch users" });
+            return res.status(400).json({ message: "Invalid query parameters", errors: error.issues });
+        }
+        const columns = query.columns || applicationExportColumns;
+        try {
+            res.type("text/csv; charset=utf-8");
+            res.attachment(`applications-${new Date().toISOString().slice(0, 10)}.csv`);
+            const write = async (chunk) => {
+                if (!res.write(chunk)) {
+                    await once(res, "drain");
+                }
+            };
+            await write(toCsvRow(columns));
+            for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+                const applications = await storage.getApplicationsPage({ ...query, limit: EXPORT_BATCH_SIZE, offset });
+                for (const application of applications) {
+                    await write(toCsvRow(columns.map((column) => application[column])));
+                }
+                if (applications.length < EXPORT_BATCH_SIZE) {
+                    break;
+                }
+            }
+            res.end();
+        }
+        catch (error) {
+            apiLog.error("Application export error", { err: error });
+            if (!res.headersSent) {
+                return res.status(500).json({ message: "Failed to export applications" });
+            }
+            res.destroy(error);
+        }
+    });
+    // Bulk import of legacy paper applications from a CSV upload ("file" field).
+    // Nothing is imported unless every row is valid; ?dryRun=true only returns the report.
+    app.post("/api/applications/import", authenticate, requirePermission("applications.import"), uploadFile, async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ message: "No file uploaded" });
+            }
+            const dryRun = req.query.dryRun === "true";
+            let records;
+            try {
+                records = rowsToObjects(parseCsv(req.file.buffer.toString("utf8")));
+            }
+            catch (error) {
+                return res.status(400).json({ message: `Invalid CSV: ${error.message}` });
+            }
+            if (records.length === 0) {
+                return res.status(400).json({ message: "The CSV file has no data rows" });
+            }
+            if (records.length > MAX_IMPORT_ROWS) {
+                return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+            }
+            const programs = new Set((await storage.getGrantPrograms({ includeArchived: true })).map((program) => program.slug));
+            const owners = new Map();
+            const findOwner = async (record) => {
+                const key = record.userId ? `id:${record.userId}` : `email:${record.email.toLowerCase()}`;
+                if (!owners.has(key)) {
+                    owners.set(key, record.userId ? await storage.getUser(record.userId) : await storage.getUserByEmail(record.email));
+                }
+                return owners.get(key);
+            };
+            const toNumber = (value) => (value.trim() === "" ? undefined : Number(value.replace(/[$,\s]/g, "")));
+            const rows = [];
+            const errors = [];
+            for (const [index, record] of records.entries()) {
+                // Row numbers match the spreadsheet, counting the header as row 1
+                const rowNumber = index + 2;
+                const rowErrors = [];
+                const owner = await findOwner({ userId: record.userId?.trim(), email: record.email?.trim() || "" });
+                if (record.userId?.trim() && !owner) {
+                    rowErrors.push({ field: "userId", message: "User not found" });
+                }
+                const parsed = insertGrantApplicationSchema.safeParse({
+                    // Paper applications without a matching account are owned by the importing admin
+                    userId: owner ? owner.id : req.user.id,
+                    fullName: record.fullName,
+                    email: record.email?.trim(),
+                    phoneNumber: record.phoneNumber,
+                    address: record.address,
+                    projectTitle: record.projectTitle,
+                    projectDescription: record.projectDescription,
+                    grantType: record.grantType?.trim(),
+                    requestedAmount: toNumber(record.requestedAmount || ""),
+                    paymentMethod: record.paymentMethod?.trim() || null,
+                });
+                if (!parsed.success) {
+                    rowErrors.push(...parsed.error.issues.map((issue) => ({ field: issue.path.join("."), message: issue.message })));
+                }
+                const status = importApplicationStatusSchema.safeParse(record.status?.trim() || undefined);
+                if (!status.success) {
+                    rowErrors.push({ field: "status", message: "Invalid status" });
+                }
+                const disbursementAmount = toNumber(record.disbursementAmount || "");
+                if (disbursementAmount !== undefined && !(Number.isInteger(disbursementAmount) && disbursementAmount > 0)) {
+                    rowErrors.push({ field: "disbursementAmount", message: "Must be a positive whole number" });
+                }
+                // Legacy applications may predate a program's window or limits, but the program must exist
+                if (parsed.success && !programs.has(parsed.data.grantType)) {
+                    rowErrors.push({ field: "grantType", message: "Unknown grant program" });
+                }
+                if (rowErrors.length > 0) {
+                    errors.push({ row: rowNumber, errors: rowErrors });
+                    continue;
+                }
+                rows.push({
+                    ...parsed.data,
+                    status: status.data,
+                    adminNotes: record.adminNotes || "",
+                    disbursementAmount,
+                });
+            }
+            const report = { dryRun, totalRows: records.length, validRows: rows.length, errors };
+            if (dryRun) {
+                return res.json({ ...report, imported: 0 });
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({ ...report, imported: 0, message: "No rows were imported because some rows are invalid" });
+            }
+            const created = await storage.importApplications(rows, req.user.id);
+            for (const application of created) {
+                applicationStatusChanges.inc({ status: application.status });
+            }
+            res.status(201).json({ ...report, imported: created.length });
+        }
+        catch (error) {
+            apiLog.error("Application import error", { err: error });
+            res.status(500).json({ message: "Failed to import applications" });
+        }
+    });
+    app.get("/api/applications/user/:userId", authenticate, async (req, res) => {
+        try {
+            const { userId } = req.params;
+            // Applicants use /api/me/applications; staff can list anyone's
+            if (userId !== req.user.id && !hasPermission(req.user.role, "applications.read")) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            const applications = await storage.getApplicationsByUser(userId);
+            res.json(applications);
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch applications" });
+        }
+    });
+    app.post("/api/applications", authenticate, async (req, res) => {
+        try {
+            const applicant = await storage.getUser(req.user.id);
+            // Standard JSON submission (application/json); the owner always comes from the token
+            const validatedData = insertGrantApplicationSchema.parse({
+                ...profileDefaults(applicant),
+                ...req.body,
+                userId: applicant.id,
+            });
+            if (!applicant.emailVerified) {
+                return res.status(403).json({ message: UNVERIFIED_EMAIL_MESSAGE });
+            }
+            const program = await storage.getGrantProgramBySlug(validatedData.grantType);
+            const rejection = getProgramRejection(program, validatedData.requestedAmount);
+            if (rejection) {
+                return res.status(400).json({ message: rejection });
+            }
+
+            // Files are uploaded separately through /api/applications/:id/documents
+            validatedData.fileUrl = "";
+            validatedData.fileName = "";
+
+            const application = await storage.createApplication(validatedData);
+            applicationStatusChanges.inc({ status: application.status });
+
+            notify({ userId: application.userId, email: application.email }, "submission_received", { application }, { applicationId: application.id });
+
+            res.status(201).json(application);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Application submission error", { err: error });
+            res.status(500).json({ message: "Failed to create application" });
+        }
+    });
+
+
+    // Draft routes
+    app.post("/api/applications/drafts", authenticate, async (req, res) => {
+        try {
+            const validatedData = draftGrantApplicationSchema.parse(req.body);
+            const applicant = await storage.getUser(req.user.id);
+            const application = await storage.createApplication({ ...profileDefaults(applicant), ...validatedData, userId: applicant.id }, { status: "draft" });
+            applicationStatusChanges.inc({ status: application.status });
+            res.status(201).json(application);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Draft creation error", { err: error });
+            res.status(500).json({ message: "Failed to save draft" });
+        }
+    });
+    app.patch("/api/applications/:id", authenticate, async (req, res) => {
+        try {
+            const validatedData = draftGrantApplicationSchema.parse(req.body);
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (application.userId !== req.user.id) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            if (application.status !== "draft") {
+                return res.status(409).json({ message: "Only draft applications can be edited" });
+            }
+            const updatedApplication = await storage.updateDraftApplication(application.id, validatedData);
+            res.json(updatedApplication);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            if (error.message === "Application is not a draft") {
+                return res.status(409).json({ message: "Only draft applications can be edited" });
+            }
+            apiLog.error("Draft update error", { err: error });
+            res.status(500).json({ message: "Failed to update draft" });
+        }
+    });
+    app.post("/api/applications/:id/submit", authenticate, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (application.userId !== req.user.id) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            if (application.status !== "draft") {
+                return res.status(409).json({ message: "Application has already been submitted" });
+            }
+            const applicant = await storage.getUser(req.user.id);
+            if (!applicant.emailVerified) {
+                return res.status(403).json({ message: UNVERIFIED_EMAIL_MESSAGE });
+            }
+            // Same rules as a direct submission, applied to everything saved in the draft
+            const validatedData = insertGrantApplicationSchema.parse(application);
+            const program = await storage.getGrantProgramBySlug(validatedData.grantType);
+            const rejection = getProgramRejection(program, validatedData.requestedAmount);
+            if (rejection) {
+                return res.status(400).json({ message: rejection });
+            }
+            const submittedApplication = await storage.submitDraftApplication(application.id, req.user.id);
+            applicationStatusChanges.inc({ status: submittedApplication.status });
+            notify({ userId: submittedApplication.userId, email: submittedApplication.email }, "submission_received", { application: submittedApplication }, { applicationId: submittedApplication.id });
+            res.json(submittedApplication);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Application is incomplete", errors: error.issues });
+            }
+            if (error.message === "Application is not a draft") {
+                return res.status(409).json({ message: "Application has already been submitted" });
+            }
+            apiLog.error("Draft submission error", { err: error });
+            res.status(500).json({ message: "Failed to submit application" });
+        }
+    });
+
+    app.patch("/api/applications/:id/status", authenticate, requirePermission("applications.decide"), async (req, res) => {
+
+        try {
+            const { id } = req.params;
+            const validatedData = updateGrantApplicationStatusSchema.parse(req.body);
+            const existingApplication = await storage.getApplication(id);
+            if (!existingApplication) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (existingApplication.status === "draft") {
+                return res.status(409).json({ message: "Draft applications must be submitted by the applicant first" });
+            }
+            if (!canTransitionApplicationStatus(existingApplication.status, validatedData.status)) {
+                return res.status(409).json({
+                    message: `Cannot change status from ${existingApplication.status} to ${validatedData.status}`,
+                    allowedStatuses: applicationStatusTransitions[existingApplication.status] || [],
+                });
+            }
+            const application = await storage.updateApplicationStatus(id, existingApplication.status, validatedData.status, validatedData.adminNotes, validatedData.disbursementAmount, req.user.id);
+            applicationStatusChanges.inc({ status: application.status });
+            const recipient = { userId: application.userId, email: application.email };
+            notify(recipient, "status_changed", { application }, { applicationId: application.id });
+            if (validatedData.disbursementAmount !== undefined) {
+                notify(recipient, "disbursement_set", { application }, { applicationId: application.id });
+            }
+            res.json(application);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            if (error.message === "Application status has changed") {
+                return res.status(409).json({ message: "Application status was changed by someone else, please reload" });
+            }
+            res.status(500).json({ message: "Failed to update application status" });
+        }
+    });
+    app.get("/api/applications/:id/history", authenticate, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            // Only the owner and admins can see the timeline
+            if (application.userId !== req.user.id && !hasPermission(req.user.role, "applications.read")) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            const history = await storage.getApplicationStatusHistory(application.id);
+            res.json(history);
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch application history" });
+        }
+    });
+
+    // Document routes
+    app.post("/api/applications/:id/documents", authenticate, uploadFile, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (application.userId !== req.user.id && !hasPermission(req.user.role, "applications.decide")) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            // Applicants cannot change their documents once a decision is made
+            if (!hasPermission(req.user.role, "applications.decide") && !DOCUMENT_EDITABLE_STATUSES.includes(application.status)) {
+                return res.status(400).json({ message: "Documents can no longer be changed for this application" });
+            }
+            if (!req.file) {
+                return res.status(400).json({ message: "No file uploaded" });
+            }
+            const documentType = detectDocumentType(req.file.buffer, req.file.originalname);
+            if (!documentType) {
+                return res.status(400).json({ message: "Only PDF, DOC and DOCX files are allowed" });
+            }
+            const existingDocuments = await storage.getApplicationDocuments(application.id);
+            if (existingDocuments.length >= MAX_DOCUMENTS_PER_APPLICATION) {
+                return res.status(400).json({ message: `An application can have at most ${MAX_DOCUMENTS_PER_APPLICATION} documents` });
+            }
+            const fileStorage = getFileStorage();
+            const storageKey = await fileStorage.save({
+                buffer: req.file.buffer,
+                extension: documentType.extension,
+                mimeType: documentType.mimeType,
+            });
+            const document = await storage.createApplicationDocument({
+                applicationId: application.id,
+                uploadedBy: req.user.id,
+                fileName: path.basename(req.file.originalname),
+                mimeType: documentType.mimeType,
+                size: req.file.size,
+                storageDriver: fileStorage.name,
+                storageKey,
+            });
+            res.status(201).json(document);
+        }
+        catch (error) {
+            apiLog.error("Document upload error", { err: error });
+            res.status(500).json({ message: "Failed to upload document" });
+        }
+    });
+    app.get("/api/applications/:id/documents", authenticate, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (application.userId !== req.user.id && !hasPermission(req.user.role, "applications.read")) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            const documents = await storage.getApplicationDocuments(application.id);
+            res.json(documents);
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch documents" });
+        }
+    });
+    app.get("/api/applications/:id/documents/:documentId/download", authenticate, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (application.userId !== req.user.id && !hasPermission(req.user.role, "applications.read")) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            const document = await storage.getApplicationDocument(application.id, req.params.documentId);
+            if (!document) {
+                return res.status(404).json({ message: "Document not found" });
+            }
+            const download = await getFileStorage(document.storageDriver).getDownload(document.storageKey);
+            if (download.redirectUrl) {
+                return res.redirect(download.redirectUrl);
+            }
+            download.stream.on("error", (error) => {
+                apiLog.error("Document download error", { err: error });
+                if (!res.headersSent) {
+                    res.status(404).json({ message: "Document file is missing" });
+                }
+                else {
+                    res.destroy(error);
+                }
+            });
+            download.stream.once("open", () => {
+                res.attachment(document.fileName);
+                res.type(document.mimeType);
+                download.stream.pipe(res);
+            });
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to download document" });
+        }
+    });
+    app.delete("/api/applications/:id/documents/:documentId", authenticate, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (application.userId !== req.user.id && !hasPermission(req.user.role, "applications.decide")) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            if (!hasPermission(req.user.role, "applications.decide") && !DOCUMENT_EDITABLE_STATUSES.includes(application.status)) {
+                return res.status(400).json({ message: "Documents can no longer be changed for this application" });
+            }
+            const document = await storage.getApplicationDocument(application.id, req.params.documentId);
+            if (!document) {
+                return res.status(404).json({ message: "Document not found" });
+            }
+            await storage.deleteApplicationDocument(document.id);
+            // The record is gone either way, a leftover file is only worth a log line
+            getFileStorage(document.storageDriver).remove(document.storageKey).catch((error) => {
+                apiLog.error("Failed to remove stored document file", { err: error });
+            });
+            res.status(204).end();
+        }
+        catch (error) {
+            apiLog.error("Document deletion error", { err: error });
+            res.status(500).json({ message: "Failed to delete document" });
+        }
+    });
+
+    // Rubric routes
+    app.get("/api/rubrics/:grantType", authenticate, async (req, res) => {
+        try {
+            const criteria = await storage.getRubricCriteria(req.params.grantType);
+            res.json({ grantType: req.params.grantType, criteria });
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch rubric" });
+        }
+    });
+    app.put("/api/rubrics/:grantType", authenticate, requirePermission("programs.manage"), async (req, res) => {
+        try {
+            const { grantType } = req.params;
+            const validatedData = upsertRubricSchema.parse(req.body);
+            const program = await storage.getGrantProgramBySlug(grantType);
+            if (!program) {
+                return res.status(404).json({ message: "Grant program not found" });
+            }
+            // Submitted scores point at the current criteria, so they cannot be swapped out underneath them
+            if (await storage.hasSubmittedReviewsForGrantType(grantType)) {
+                return res.status(409).json({ message: "Rubric cannot be changed after reviews have been submitted" });
+            }
+            const criteria = await storage.replaceRubricCriteria(grantType, validatedData.criteria);
+            res.json({ grantType, criteria });
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Rubric update error", { err: error });
+            res.status(500).json({ message: "Failed to update rubric" });
+        }
+    });
+
+    // Review routes
+    app.post("/api/applications/:id/reviewers", authenticate, requirePermission("reviews.assign"), async (req, res) => {
+        try {
+            const validatedData = assignReviewerSchema.parse(req.body);
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (!REVIEWABLE_STATUSES.includes(application.status)) {
+                return res.status(400).json({ message: "Reviewers can only be assigned before a decision is made" });
+            }
+            const reviewer = await storage.getUser(validatedData.reviewerId);
+            if (!reviewer) {
+                return res.status(404).json({ message: "Reviewer not found" });
+            }
+            if (!hasPermission(reviewer.role, "reviews.submit") || reviewer.deactivatedAt) {
+                return res.status(400).json({ message: "User's role does not allow reviewing applications" });
+            }
+            if (reviewer.id === application.userId) {
+                return res.status(400).json({ message: "Applicants cannot review their own application" });
+            }
+            const review = await storage.assignReviewer(application.id, reviewer.id, req.user.id);
+            res.status(201).json(review);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            if (error.message === "Reviewer already assigned") {
+                return res.status(409).json({ message: "Reviewer already assigned" });
+            }
+            apiLog.error("Reviewer assignment error", { err: error });
+            res.status(500).json({ message: "Failed to assign reviewer" });
+        }
+    });
+    app.delete("/api/applications/:id/reviewers/:reviewerId", authenticate, requirePermission("reviews.assign"), async (req, res) => {
+        try {
+            const { id, reviewerId } = req.params;
+            const review = await storage.getApplicationReview(id, reviewerId);
+            if (!review) {
+                return res.status(404).json({ message: "Reviewer not assigned" });
+            }
+            if (review.submittedAt) {
+                return res.status(409).json({ message: "Reviewer has already submitted scores" });
+            }
+            await storage.removeReviewer(id, reviewerId);
+            res.status(204).end();
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to remove reviewer" });
+        }
+    });
+    app.get("/api/reviews/assigned", authenticate, async (req, res) => {
+        try {
+            const assignments = await storage.getReviewAssignments(req.user.id);
+            res.json(assignments);
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch review assignments" });
+        }
+    });
+    app.get("/api/applications/:id/reviews", authenticate, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            const reviews = await storage.getApplicationReviews(application.id);
+            if (!hasPermission(req.user.role, "reviews.read")) {
+                // Reviewers only see their own review so scores stay independent
+                const ownReviews = reviews.filter((review) => review.reviewerId === req.user.id);
+                if (ownReviews.length === 0) {
+                    return res.status(403).json({ message: "Access denied" });
+                }
+                return res.json({ reviews: ownReviews });
+            }
+            const criteria = await storage.getRubricCriteria(application.grantType);
+            res.json({ reviews, summary: summarizeReviews(criteria, reviews) });
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch reviews" });
+        }
+    });
+    app.post("/api/applications/:id/reviews", authenticate, async (req, res) => {
+        try {
+            const validatedData = submitReviewSchema.parse(req.body);
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            const review = await storage.getApplicationReview(application.id, req.user.id);
+            if (!review) {
+                return res.status(403).json({ message: "You are not assigned to review this application" });
+            }
+            if (!REVIEWABLE_STATUSES.includes(application.status)) {
+                return res.status(400).json({ message: "A decision has already been made on this application" });
+            }
+            const criteria = await storage.getRubricCriteria(application.grantType);
+            if (criteria.length === 0) {
+                return res.status(400).json({ message: "No rubric has been defined for this grant type" });
+            }
+            const scoreError = validateReviewScores(criteria, validatedData.scores);
+            if (scoreError) {
+                return res.status(400).json({ message: scoreError });
+            }
+            const updatedReview = await storage.submitReview(review.id, {
+                scores: validatedData.scores,
+                weightedScore: computeWeightedScore(criteria, validatedData.scores),
+                comment: validatedData.comment,
+            });
+            res.json(updatedReview);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Review submission error", { err: error });
+            res.status(500).json({ message: "Failed to submit review" });
+        }
+    });
+    app.patch("/api/applications/:id/payment-method", authenticate, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { paymentMethod } = req.body;
+
+            if (!paymentMethods.includes(paymentMethod)) {
+                return res.status(400).json({ message: "Invalid payment method" });
+            }
+
+            const application = await storage.getApplication(id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+
+            // Only the owner or finance staff can update the payment method
+            if (application.userId !== req.user.id && !hasPermission(req.user.role, "disbursements.write")) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+
+            // Only allowed if status is approved
+            if (application.status !== "approved") {
+                return res.status(400).json({ message: "Payment method can only be selected for approved applications" });
+            }
+
+            const updatedApplication = await storage.updatePaymentMethod(id, paymentMethod);
+            res.json(updatedApplication);
+        }
+        catch (error) {
+            apiLog.error("Payment method update error", { err: error });
+            res.status(500).json({ message: "Failed to update payment method" });
+        }
+    });
+
+    // Admin analytics
+    app.get("/api/admin/stats", authenticate, requirePermission("stats.read"), async (req, res) => {
+        try {
+            const query = applicationStatsQuerySchema.parse(req.query);
+            const stats = await storage.getApplicationStats(query);
+            const countFor = (status) => stats.byStatus.find((row) => row.status === status)?.count || 0;
+            const approved = countFor("approved");
+            const decided = approved + countFor("rejected");
+            const roundDays = (days) => (days === null || isNaN(days) ? null : Math.round(days * 10) / 10);
+            res.json({
+                range: { from: query.from || null, to: query.to || null },
+                totalApplications: stats.byStatus.reduce((sum, row) => sum + row.count, 0),
+                countsByStatus: stats.byStatus,
+                byGrantType: stats.byGrantType,
+                // Share of decided applications that were approved; null until something is decided
+                approvalRate: decided > 0 ? Math.round((approved / decided) * 1000) / 1000 : null,
+                decisionTime: {
+                    decidedCount: stats.decisionTime.decidedCount,
+                    averageDays: roundDays(stats.decisionTime.averageDays),
+                    medianDays: roundDays(stats.decisionTime.medianDays),
+                },
+                monthlySubmissions: stats.monthly,
+            });
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid query parameters", errors: error.issues });
+            }
+            apiLog.error("Stats error", { err: error });
+            res.status(500).json({ message: "Failed to compute statistics" });
+        }
+    });
+
+    // Disbursement routes
+    app.get("/api/applications/:id/disbursements", authenticate, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            // Applicants can follow the payment status of their own grant
+            if (application.userId !== req.user.id && !hasPermission(req.user.role, "disbursements.read")) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            const items = await storage.getDisbursementsByApplication(application.id);
+            res.json({ ...summarizeDisbursements(application, items), disbursements: items });
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch disbursements" });
+        }
+    });
+    app.post("/api/applications/:id/disbursements", authenticate, requirePermission("disbursements.write"), async (req, res) => {
+        try {
+            const validatedData = createDisbursementSchema.parse(req.body);
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (application.status !== "approved") {
+                return res.status(400).json({ message: "Disbursements can only be scheduled for approved applications" });
+            }
+            const method = validatedData.method || application.paymentMethod;
+            if (!method) {
+                return res.status(400).json({ message: "A payment method is required" });
+            }
+            const { approvedAmount } = summarizeDisbursements(application, []);
+            const disbursement = await storage.createDisbursement({
+                ...validatedData,
+                applicationId: application.id,
+                method,
+                recordedBy: req.user.id,
+            }, approvedAmount);
+            res.status(201).json(disbursement);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            if (error.message === "Disbursement exceeds remaining balance") {
+                return res.status(400).json({ message: "Disbursement exceeds the remaining approved balance" });
+            }
+            apiLog.error("Disbursement creation error", { err: error });
+            res.status(500).json({ message: "Failed to schedule disbursement" });
+        }
+    });
+    app.patch("/api/disbursements/:id", authenticate, requirePermission("disbursements.write"), async (req, res) => {
+        try {
+            const validatedData = updateDisbursementSchema.parse(req.body);
+            const disbursement = await storage.getDisbursement(req.params.id);
+            if (!disbursement) {
+                return res.status(404).json({ message: "Disbursement not found" });
+            }
+            if (!disbursementStatusTransitions[disbursement.status].includes(validatedData.status)) {
+                return res.status(409).json({
+                    message: `Cannot change disbursement from ${disbursement.status} to ${validatedData.status}`,
+                    allowedStatuses: disbursementStatusTransitions[disbursement.status],
+                });
+            }
+            const updates = { status: validatedData.status, updatedBy: req.user.id };
+            if (validatedData.notes !== undefined) {
+                updates.notes = validatedData.notes;
+            }
+            if (validatedData.status === "sent") {
+                // A payment cannot be marked as sent without something to trace it by
+                if (disbursement.method === "cheque" && !validatedData.chequeNumber) {
+                    return res.status(400).json({ message: "A cheque number is required" });
+                }
+                if (disbursement.method === "bank_transfer" && !validatedData.transferReference) {
+                    return res.status(400).json({ message: "A transfer reference is required" });
+                }
+                updates.chequeNumber = validatedData.chequeNumber || null;
+                updates.transferReference = validatedData.transferReference || null;
+                updates.sentAt = new Date();
+            }
+            if (validatedData.status === "cleared") {
+                updates.clearedAt = new Date();
+            }
+            const updatedDisbursement = await storage.updateDisbursement(disbursement.id, disbursement.status, updates);
+            const application = await storage.getApplication(disbursement.applicationId);
+            if (application) {
+                notify({ userId: application.userId, email: application.email }, "disbursement_updated", {
+                    application,
+                    disbursement: updatedDisbursement,
+                }, { applicationId: application.id, disbursementId: updatedDisbursement.id });
+            }
+            res.json(updatedDisbursement);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            if (error.message === "Disbursement status has changed") {
+                return res.status(409).json({ message: "Disbursement was changed by someone else, please reload" });
+            }
+            apiLog.error("Disbursement update error", { err: error });
+            res.status(500).json({ message: "Failed to update disbursement" });
+        }
+    });
+
+    // Bank account routes
+    app.put("/api/applications/:id/bank-account", authenticate, async (req, res) => {
+        try {
+            const validatedData = bankAccountSchema.parse(req.body);
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            // Only the applicant enters where they want to be paid
+            if (application.userId !== req.user.id) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            if (application.status !== "approved") {
+                return res.status(400).json({ message: "Bank details can only be added to approved applications" });
+            }
+            if (application.paymentMethod !== "bank_transfer") {
+                return res.status(400).json({ message: "Choose bank transfer as the payment method first" });
+            }
+            const account = await storage.upsertBankAccount({
+                applicationId: application.id,
+                userId: application.userId,
+                accountHolderEncrypted: encrypt(validatedData.accountHolder, "bankDetails"),
+                bankNameEncrypted: encrypt(validatedData.bankName, "bankDetails"),
+                accountNumberEncrypted: encrypt(validatedData.accountNumber, "bankDetails"),
+                routingCodeEncrypted: encrypt(validatedData.routingCode, "bankDetails"),
+            });
+            res.json(maskBankAccount(account));
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Bank account update error", { err: error });
+            res.status(500).json({ message: "Failed to save bank details" });
+        }
+    });
+    app.get("/api/applications/:id/bank-account", authenticate, async (req, res) => {
+        try {
+            const application = await storage.getApplication(req.params.id);
+            if (!application) {
+                return res.status(404).json({ message: "Application not found" });
+            }
+            if (application.userId !== req.user.id && !hasPermission(req.user.role, "disbursements.read")) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            const account = await storage.getBankAccountByApplication(application.id);
+            if (!account) {
+                return res.status(404).json({ message: "No bank details on file" });
+            }
+            res.json(maskBankAccount(account));
+        }
+        catch (error) {
+            apiLog.error("Bank account fetch error", { err: error });
+            res.status(500).json({ message: "Failed to fetch bank details" });
+        }
+    });
+    // Every reveal is recorded with the admin and their reason before the values are returned
+    app.post("/api/applications/:id/bank-account/reveal", authenticate, requirePermission("bank_accounts.reveal"), async (req, res) => {
+        try {
+            const validatedData = revealBankAccountSchema.parse(req.body);
+            const account = await storage.getBankAccountByApplication(req.params.id);
+            if (!account) {
+                return res.status(404).json({ message: "No bank details on file" });
+            }
+            await storage.logBankAccountAccess({
+                bankAccountId: account.id,
+                applicationId: account.applicationId,
+                accessedBy: req.user.id,
+                reason: validatedData.reason,
+            });
+            res.set("Cache-Control", "no-store");
+            res.json({ ...decryptBankAccount(account), masked: false });
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "A reason is required to reveal bank details", errors: error.issues });
+            }
+            apiLog.error("Bank account reveal error", { err: error });
+            res.status(500).json({ message: "Failed to reveal bank details" });
+        }
+    });
+    app.get("/api/applications/:id/bank-account/access-log", authenticate, requirePermission("bank_accounts.reveal"), async (req, res) => {
+        try {
+            const entries = await storage.getBankAccountAccessLog(req.params.id);
+            res.json(entries);
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch access log" });
+        }
+    });
+
+    // User routes (admin only)
+
+    app.get("/api/users", authenticate, requirePermission("users.read"), async (req, res) => {
+
+        try {
+            const users = await storage.getAllUsers();
+            // Remove passwords and 2FA secrets from response
+            const usersWithoutPasswords = users.map(publicUser);
+            res.json(usersWithoutPasswords);
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch users" });
+        }
+    });
+    app.get("/api/users/:id", authenticate, requirePermission("users.read"), async (req, res) => {
+        try {
+            const user = await storage.getUser(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: "User not found" });
+            }
+            const userWithoutPassword = publicUser(user);
+            res.json(userWithoutPassword);
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch user" });
+        }
+    });
+    // Creates a staff account and emails an invite link to set the password
+    app.post("/api/users", authenticate, requirePermission("users.manage"), async (req, res) => {
+        try {
+            const validatedData = createStaffUserSchema.parse(req.body);
+            const existingUser = await storage.getUserByEmail(validatedData.email);
+            if (existingUser) {
+                return res.status(400).json({ message: "Email already registered" });
+            }
+            // Unusable until the invite is accepted
+            const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+            const user = await storage.createUser({
+                ...validatedData,
+                password: hashedPassword,
+                emailVerified: true,
+            });
+            await sendAccountInviteEmail(user);
+            const userWithoutPassword = publicUser(user);
+            res.status(201).json(userWithoutPassword);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Staff account creation error", { err: error });
+            res.status(500).json({ message: "Failed to create user" });
+        }
+    });
+    app.post("/api/users/:id/deactivate", authenticate, requirePermission("users.manage"), async (req, res) => {
+        try {
+            if (req.params.id === req.user.id) {
+                return res.status(400).json({ message: "You cannot deactivate your own account" });
+            }
+            const user = await storage.setUserDeactivated(req.params.id, true);
+            if (!user) {
+                return res.status(404).json({ message: "User not found" });
+            }
+            await storage.revokeAllRefreshTokens(user.id);
+            const userWithoutPassword = publicUser(user);
+            res.json(userWithoutPassword);
+        }
+        catch (error) {
+            apiLog.error("User deactivation error", { err: error });
+            res.status(500).json({ message: "Failed to deactivate user" });
+        }
+    });
+    app.post("/api/users/:id/reactivate", authenticate, requirePermission("users.manage"), async (req, res) => {
+        try {
+            const user = await storage.setUserDeactivated(req.params.id, false);
+            if (!user) {
+                return res.status(404).json({ message: "User not found" });
+            }
+            const userWithoutPassword = publicUser(user);
+            res.json(userWithoutPassword);
+        }
+        catch (error) {
+            apiLog.error("User reactivation error", { err: error });
+            res.status(500).json({ message: "Failed to reactivate user" });
+        }
+    });
+    // For staff who lost their authenticator; they sign in with the password alone and can enroll again
+    app.post("/api/users/:id/2fa/reset", authenticate, requirePermission("users.manage"), async (req, res) => {
+        try {
+            const user = await storage.disableTotp(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: "User not found" });
+            }
+            await storage.revokeAllRefreshTokens(user.id);
+            res.json(publicUser(user));
+        }
+        catch (error) {
+            apiLog.error("2FA reset error", { err: error });
+            res.status(500).json({ message: "Failed to reset two-factor authentication" });
+        }
+    });
+    app.post("/api/users/:id/unlock", authenticate, requirePermission("users.manage"), async (req, res) => {
+        try {
+            const user = await storage.clearFailedLogins(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: "User not found" });
+            }
+            const userWithoutPassword = publicUser(user);
+            res.json(userWithoutPassword);
+        }
+        catch (error) {
+            apiLog.error("User unlock error", { err: error });
+            res.status(500).json({ message: "Failed to unlock user" });
+        }
+    });
+    // Replaces the password with a random one, signs the user out everywhere and emails a reset link
+    app.post("/api/users/:id/password-reset", authenticate, requirePermission("users.manage"), async (req, res) => {
+        try {
+            const user = await storage.getUser(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: "User not found" });
+            }
+            if (user.deactivatedAt) {
+                return res.status(409).json({ message: "Account is deactivated" });
+            }
+            const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+            await storage.updateUserPassword(user.id, hashedPassword);
+            await storage.revokeAllRefreshTokens(user.id);
+            await sendForcedPasswordResetEmail(user);
+            res.json({ message: "Password reset email sent" });
+        }
+        catch (error) {
+            apiLog.error("Forced password reset error", { err: error });
+            res.status(500).json({ message: "Failed to reset password" });
+        }
+    });
+    app.get("/api/roles", authenticate, requirePermission("users.read"), (req, res) => {
+        res.json(userRoles.map((role) => ({ role, permissions: rolePermissions[role] })));
+    });
+    app.patch("/api/users/:id/role", authenticate, requirePermission("users.manage"), async (req, res) => {
+        try {
+            const validatedData = updateUserRoleSchema.parse(req.body);
+            // Keeps the last user manager from locking everyone out
+            if (req.params.id === req.user.id) {
+                return res.status(400).json({ message: "You cannot change your own role" });
+            }
+            const user = await storage.updateUserRole(req.params.id, validatedData.role);
+            if (!user) {
+                return res.status(404).json({ message: "User not found" });
+            }
+            const userWithoutPassword = publicUser(user);
+            res.json(userWithoutPassword);
+        }
+        catch (error) {
+            if (error.name === "ZodError") {
+                return res.status(400).json({ message: "Invalid input data", errors: error.issues });
+            }
+            apiLog.error("Role update error", { err: error });
+            res.status(500).json({ message: "Failed to update role" });
+        }
+    });
+    // Notification routes
+    app.get("/api/notifications", authenticate, async (req, res) => {
+        try {
+            let before;
+            if (req.query.before) {
+                before = new Date(req.query.before);
+                if (isNaN(before.getTime())) {
+                    return res.status(400).json({ message: "Invalid 'before' timestamp" });
+                }
+            }
+            const limit = parseLimit(req.query.limit, 20, 100);
+            const items = await storage.getNotificationsByUser(req.user.id, {
+                before,
+                limit,
+                unreadOnly: req.query.unread === "true",
+            });
+            const unreadCount = await storage.countUnreadNotifications(req.user.id);
+            const nextBefore = items.length === limit ? items[items.length - 1].createdAt : null;
+            res.json({ notifications: items, unreadCount, nextBefore });
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to fetch notifications" });
+        }
+    });
+    app.post("/api/notifications/read-all", authenticate, async (req, res) => {
+        try {
+            const updated = await storage.markAllNotificationsRead(req.user.id);
+            res.json({ updated });
+        }
+        catch (error) {
+            res.status(500).json({ message: "Failed to update notifications" });
+        }
+    });
+    app.patch("/api/notifications/:id/read", authenticate, async (req, res) => {
+        try {
+            const notification = await storage.markNotificationRead(req.params.id, req.user.id);
+            res.json(notification);
+        }
+        catch (error) {
+            if (error.message === "Notification not found") {
+                return res.status(404).json({ message: "Notification not found" });
+            }
+            res.status(500).json({ message: "Failed to update notification" });
+        }
+    });
+
+    // Chat routes
+    app.get("/api/chat/conversations", authenticate, requirePermission("chat.respond"), async (req, res) => {
+        try {
+            const limit = parseLimit(req.query.limit, 20, 100);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const { conversations, total } = await storage.getChatConversations({ limit, offset });
+            res.json({ conversations, total, limit, offset });
+        }
+        catch (error) {
+            apiLog.error("Chat conversations error", { err: error });
+            res.status(500).json({ message: "Failed to fetch conversations" });
+        }
+    });
+    app.get("/api/chat/:userId/messages", authenticate, async (req, res) => {
+        try {
+            const { userId } = req.params;
+            // Applicants can only read their own conversation
+            if (!hasPermission(req.user.role, "chat.respond") && req.user.id !== userId) {
+                return res.status(403).json({ message: "Access denied" });
+            }
+            let before;
+            if (req.query.before) {
+                before = new Date(req.query.before);
+                if (isNaN(before.getTime())) {
+                    return res.status(400).json({ message: "Invalid 'before' timestamp" });
+                }
+            }
+            const limit = parseLimit(req.query.limit, 50, 200);
+            const messages = await storage.getChatMessagesByUser(userId, { before, limit });
+            // Cursor for the next (older) page, or null when there is nothing left
+            const nextBefore = messages.length === limit ? messages[0].createdAt : null;
+            res.json({ messages, nextBefore });
+        }
+        catch (error) {
+            apiLog.error("Chat messages error", { err: error });
+            res.status(500).json({ message: "Failed to fetch messages" });
         }
     });
     // Create HTTP server without WebSocket initially to avoid conflicts
     const httpServer = createServer(app);
     // Create WebSocket server
     const wss = new WebSocketServer({ server: httpServer, path: "/ws" });
-    // Extend Express Request type to include user
+    // Connected clients keyed by the authenticated user id
     const clients = new Map();
-    // In-memory storage for messages (in a real app, use a database)
-    const messages = [];
+    const sendJson = (socket, payload) => {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(payload));
+        }
+    };
+    createGauge("websocket_connections", "Open chat sockets, and how many of them are authenticated", () => [
+        { labels: { state: "open" }, value: wss.clients.size },
+        { labels: { state: "authenticated" }, value: clients.size },
+    ]);
+    // Sockets never finish on their own, so shutdown closes them (1001 Going Away) for clients to reconnect elsewhere
+    onShutdown(() => {
+        for (const socket of wss.clients) {
+            socket.close(1001, "Server shutting down");
+        }
+    });
     wss.on('connection', (ws, req) => {
-        console.log('[WS] New client connected');
+        // Every line about this socket carries its id, as HTTP requests carry theirs
+        const connectionLog = wsLog.child({ connectionId: crypto.randomUUID() });
+        connectionLog.info("Client connected");
         // Handle authentication
-        ws.on('message', (message) => {
+        ws.on('message', async (message) => {
             try {
                 const data = JSON.parse(message.toString());
                 if (data.type === 'auth') {
-                    // Verify JWT token
-                    jwt.verify(data.token, JWT_SECRET, (err, decoded) => {
-                        if (err) {
-                            console.log('[WS] Authentication failed', err);
-                            ws.send(JSON.stringify({ type: 'auth-error', message: 'Invalid token' }));
-                            ws.close();
-                            return;
-                        }
-                        // Add client to our map
-                        clients.set(data.userId, { ws, userId: data.userId, role: decoded.role });
-                        console.log(`[WS] User ${data.userId} authenticated as ${decoded.role}`);
-                        // Send chat history to the user
-                        // For user: send messages where they are the sender or receiver
-                        // For admin: send all messages
-                        const userMessages = messages.filter(msg => decoded.role === 'admin' ||
-                            msg.userId === data.userId ||
-                            msg.targetUserId === data.userId);
-                        ws.send(JSON.stringify({
-                            type: 'history',
-                            messages: userMessages
-                        }));
-                    });
+                    // Verify the access token, including revocation
+                    const authUser = await verifyAccessToken(data.token);
+                    if (!authUser) {
+                        connectionLog.warn("Authentication failed");
+                        sendJson(ws, { type: 'auth-error', message: 'Invalid token' });
+                        ws.close();
+                        return;
+                    }
+                    // Add client to our map, trusting the token rather than the payload for identity.
+                    // Staff who can answer the chat act on the admin side of every conversation.
+                    const role = hasPermission(effectiveRole(authUser), "chat.respond") ? 'admin' : 'user';
+                    clients.set(authUser.id, { ws, userId: authUser.id, role });
+                    connectionLog.info("Client authenticated", { userId: authUser.id, role });
+                    // Send chat history to the user
+                    // For user: their own conversation
+                    // For admin: the most recent messages across all conversations
+                    const history = role === 'admin'
+                        ? await storage.getAllChatMessages({ limit: CHAT_HISTORY_LIMIT })
+                        : await storage.getChatMessagesByUser(authUser.id, { limit: CHAT_HISTORY_LIMIT });
+                    sendJson(ws, { type: 'history', messages: history });
                 }
                 else if (data.type === 'send' && data.userId) {
                     // Handle message sending
                     const sender = clients.get(data.userId);
-                    if (!sender) {
-                        ws.send(JSON.stringify({ type: 'error', message: 'User not authenticated' }));
+                    if (!sender || sender.ws !== ws) {
+                        sendJson(ws, { type: 'error', message: 'User not authenticated' });
                         return;
                     }
-                    // Create message object
-                    const messageObj = {
-                        id: Date.now().toString(),
-                        userId: data.userId,
-                        senderRole: data.senderRole,
+                    if (typeof data.message !== 'string' || !data.message.trim()) {
+                        sendJson(ws, { type: 'error', message: 'Message cannot be empty' });
+                        return;
+                    }
+                    if (sender.role === 'admin' && !data.targetUserId) {
+                        sendJson(ws, { type: 'error', message: 'targetUserId is required' });
+                        return;
+                    }
+                    // Replies only go to accounts that exist and can still sign in to read them
+                    const recipient = sender.role === 'admin' ? await storage.getUser(data.targetUserId) : undefined;
+                    if (sender.role === 'admin' && (!recipient || recipient.deactivatedAt)) {
+                        sendJson(ws, { type: 'error', message: 'Recipient not found or deactivated' });
+                        return;
+                    }
+                    // Admin messages belong to the target user's conversation, user messages to their own
+                    const conversationUserId = sender.role === 'admin' ? data.targetUserId : sender.userId;
+                    const saved = await storage.createChatMessage({
+                        userId: conversationUserId,
+                        senderId: sender.userId,
+                        senderRole: sender.role,
                         message: data.message,
-                        createdAt: new Date().toISOString(),
-                        targetUserId: data.targetUserId
-                    };
-                    // Store message in memory (in a real app, this would go to a database)
-                    messages.push(messageObj);
-                    if (sender.role === 'admin' && data.targetUserId) {
-                        // Admin sending to specific user
-                        const targetClient = clients.get(data.targetUserId);
+                    });
+                    const outgoing = { type: 'message', ...saved };
+                    if (sender.role === 'admin') {
+                        // Admin sending to specific user, delivered if they are online
+                        const targetClient = clients.get(conversationUserId);
                         if (targetClient) {
-                            // Send to target user
-                            targetClient.ws.send(JSON.stringify({
-                                type: 'message',
-                                ...messageObj
-                            }));
-                            // Also send to admin to show in their chat
-                            sender.ws.send(JSON.stringify({
-                                type: 'message',
-                                ...messageObj
-                            }));
+                            sendJson(targetClient.ws, outgoing);
                         }
                         else {
-                            // User not online, send to admin to show their message
-                            sender.ws.send(JSON.stringify({
-                                type: 'message',
-                                ...messageObj
-                            }));
+                            // Let offline applicants know there is a reply waiting
+                            notify({ userId: recipient.id, email: recipient.email }, "chat_message", {
+                                recipientName: recipient.fullName,
+                                senderLabel: "the GrantHub team",
+                                message: saved,
+                            }, { chatUserId: recipient.id });
                         }
                     }
-                    else if (sender.role === 'user') {
+                    else {
                         // Find admin clients to send to
                         let adminFound = false;
-                        for (const [id, client] of clients) {
+                        for (const client of clients.values()) {
                             if (client.role === 'admin') {
                                 adminFound = true;
-                                client.ws.send(JSON.stringify({
-                                    type: 'message',
-                                    ...messageObj
-                                }));
+                                sendJson(client.ws, outgoing);
                             }
                         }
-                        // Send to sender too
-                        sender.ws.send(JSON.stringify({
-                            type: 'message',
-                            ...messageObj
-                        }));
-                        // If no admin is online, we might want to store the message for later delivery
+                        // The message is persisted, so offline admins see it in their history later
                         if (!adminFound) {
-                            console.log('[WS] No admin online, message stored for later delivery');
+                            connectionLog.info("No admin online, message stored for later delivery", { messageId: saved.id });
+                            const applicant = await storage.getUser(sender.userId);
+                            const admins = (await storage.getAllUsers()).filter((user) => hasPermission(user.role, "chat.respond") && !user.deactivatedAt);
+                            for (const admin of admins) {
+                                notify({ userId: admin.id, email: admin.email }, "chat_message", {
+                                    recipientName: admin.fullName,
+                                    senderLabel: applicant ? applicant.fullName : "an applicant",
+                                    message: saved,
+                                }, { chatUserId: sender.userId });
+                            }
                         }
                     }
+                    // Echo back to the sender so it shows in their chat
+                    sendJson(ws, outgoing);
                 }
                 else if (data.type === 'getHistory' && data.userId) {
-                    // Send chat history for specific conversation between admin and user
-                    if (data.targetUserId) {
-                        const conversationMessages = messages.filter(msg => (msg.userId === data.userId && msg.targetUserId === data.targetUserId) ||
-                            (msg.userId === data.targetUserId && msg.targetUserId === data.userId));
-                        ws.send(JSON.stringify({
-                            type: 'history',
-                            messages: conversationMessages
-                        }));
+                    // Send chat history for the conversation between admin and a user
+                    const requester = clients.get(data.userId);
+                    if (!requester || requester.ws !== ws) {
+                        sendJson(ws, { type: 'error', message: 'User not authenticated' });
+                        return;
                     }
+                    const conversationUserId = requester.role === 'admin' ? data.targetUserId : requester.userId;
+                    if (!conversationUserId) {
+                        return;
+                    }
+                    let before;
+                    if (data.before) {
+                        before = new Date(data.before);
+                        if (isNaN(before.getTime())) {
+                            sendJson(ws, { type: 'error', message: "Invalid 'before' timestamp" });
+                            return;
+                        }
+                    }
+                    const conversationMessages = await storage.getChatMessagesByUser(conversationUserId, {
+                        before,
+                        limit: CHAT_HISTORY_LIMIT,
+                    });
+                    sendJson(ws, {
+                        type: 'history',
+                        targetUserId: conversationUserId,
+                        messages: conversationMessages
+                    });
                 }
             }
             catch (e) {
-                console.error('[WS] Error processing message:', e);
+                connectionLog.error("Error processing message", { err: e });
+                sendJson(ws, { type: 'error', message: 'Failed to process message' });
             }
         });
         // Handle client disconnect
         ws.on('close', () => {
-            console.log('[WS] Client disconnected');
+            connectionLog.info("Client disconnected");
             // Remove client from map
             for (const [id, client] of clients) {
                 if (client.ws === ws) {
@@ -513,7 +2124,7 @@ export async function registerRoutes(app) {
         });
         // Handle errors
         ws.on('error', (error) => {
-            console.error('[WS] Connection error:', error);
+            connectionLog.error("Connection error", { err: error });
         });
     });
     return httpServer;
@@ -0,0 +1,94 @@
+// Rubric scoring helpers shared by the review routes.
+// A review's weighted score is normalised to 0-100 so reviews stay comparable when criteria
+// have different max scores or weights.
+
+// Population standard deviation of 0-100 scores can be at most 50, which anchors the agreement scale
+const MAX_SCORE_SPREAD = 50;
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+    const average = mean(values);
+    return Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+}
+
+// Returns an error message if the scores do not cover every criterion exactly once within range
+export function validateReviewScores(criteria, scores) {
+    const byCriterion = new Map(scores.map((entry) => [entry.criterionId, entry.score]));
+    if (byCriterion.size !== scores.length) {
+        return "Each criterion can only be scored once";
+    }
+    for (const criterion of criteria) {
+        const score = byCriterion.get(criterion.id);
+        if (score === undefined) {
+            return `Missing score for "${criterion.name}"`;
+        }
+        if (score < 0 || score > criterion.maxScore) {
+            return `Score for "${criterion.name}" must be between 0 and ${criterion.maxScore}`;
+        }
+    }
+    if (scores.length !== criteria.length) {
+        return "Scores include an unknown criterion";
+    }
+    return null;
+}
+
+export function computeWeightedScore(criteria, scores) {
+    const byCriterion = new Map(scores.map((entry) => [entry.criterionId, entry.score]));
+    const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+    if (totalWeight === 0) {
+        return 0;
+    }
+    const weighted = criteria.reduce((sum, criterion) => sum + criterion.weight * (byCriterion.get(criterion.id) / criterion.maxScore), 0);
+    return round((weighted / totalWeight) * 100);
+}
+
+// Aggregate submitted reviews into the figures admins look at before deciding
+export function summarizeReviews(criteria, reviews) {
+    const submitted = reviews.filter((review) => review.submittedAt);
+    const summary = {
+        assignedCount: reviews.length,
+        submittedCount: submitted.length,
+        averageScore: null,
+        minScore: null,
+        maxScore: null,
+        standardDeviation: null,
+        agreement: null,
+        agreementLevel: null,
+        criteria: [],
+    };
+    if (submitted.length === 0) {
+        return summary;
+    }
+    const totals = submitted.map((review) => review.weightedScore);
+    const spread = standardDeviation(totals);
+    summary.averageScore = round(mean(totals));
+    summary.minScore = Math.min(...totals);
+    summary.maxScore = Math.max(...totals);
+    summary.standardDeviation = round(spread);
+    // 1 means every reviewer gave the same score, 0 means they are as far apart as possible
+    summary.agreement = round(1 - spread / MAX_SCORE_SPREAD);
+    summary.agreementLevel = spread <= 10 ? "high" : spread <= 20 ? "moderate" : "low";
+    summary.criteria = criteria.map((criterion) => {
+        const values = submitted
+            .map((review) => review.scores.find((entry) => entry.criterionId === criterion.id))
+            .filter(Boolean)
+            .map((entry) => entry.score);
+        return {
+            criterionId: criterion.id,
+            name: criterion.name,
+            weight: criterion.weight,
+            maxScore: criterion.maxScore,
+            averageScore: values.length ? round(mean(values)) : null,
+            standardDeviation: values.length ? round(standardDeviation(values)) : null,
+        };
+    });
+    return summary;
+}
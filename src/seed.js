@@ -0,0 +1,19 @@
+// Loads demo data (demo@example.com / "password" with sample applications) for local development.
+// Never runs on its own; refuses to touch a production database unless --force is passed.
+// Usage: npm run seed [-- --force]
+import { storage } from "./storage.js";
+import { config } from "./config.js";
+
+async function main(args) {
+    if (config.isProduction && !args.includes("--force")) {
+        throw new Error("Refusing to seed demo data with NODE_ENV=production (pass --force to override)");
+    }
+    await storage.seedData();
+    await storage.seedDemoData();
+    console.log("[SEED] Demo data loaded");
+}
+
+main(process.argv.slice(2)).then(() => process.exit(0), (error) => {
+    console.error(`[SEED] ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,40 @@
+// One-time setup command that creates the first super admin.
+// Usage: npm run setup-admin -- --email admin@example.org --name "Jane Doe"
+// The password is read from INITIAL_ADMIN_PASSWORD, or generated and printed once.
+import crypto from "crypto";
+import { parseArgs } from "util";
+import bcrypt from "bcryptjs";
+import { storage } from "./storage.js";
+import { config } from "./config.js";
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            email: { type: "string" },
+            name: { type: "string", default: "Administrator" },
+        },
+    });
+    const email = values.email || config.initialAdmin.email;
+    if (!email) {
+        throw new Error("Pass --email or set INITIAL_ADMIN_EMAIL");
+    }
+    if (await storage.hasAdministrator()) {
+        throw new Error("An administrator already exists; manage further accounts through the admin API");
+    }
+    const generated = !config.initialAdmin.password;
+    const password = config.initialAdmin.password || crypto.randomBytes(12).toString("base64url");
+    const admin = await storage.createInitialAdmin({
+        email,
+        password: await bcrypt.hash(password, 10),
+        fullName: values.name,
+    });
+    console.log(`[SETUP] Created super admin ${admin.email}`);
+    if (generated) {
+        console.log(`[SETUP] Generated password (shown once): ${password}`);
+    }
+}
+
+main().then(() => process.exit(0), (error) => {
+    console.error(`[SETUP] ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,47 @@
+// Second-factor checks shared by login, enrollment and the 2FA management routes.
+import crypto from "crypto";
+import { storage } from "./storage.js";
+import { hashToken } from "./auth.js";
+import { decrypt } from "./encryption.js";
+import { findTotpCounter } from "./totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+// No 0/O or 1/I/L, so codes survive being read out or written down
+const RECOVERY_CODE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+
+// Recovery codes are compared without case, spaces or dashes
+function normalizeRecoveryCode(code) {
+    return code.toLowerCase().replace(/[\s-]/g, "");
+}
+
+function randomRecoveryCode() {
+    const chars = Array.from(crypto.randomBytes(10), (byte) => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+    return `${chars.slice(0, 5).join("")}-${chars.slice(5).join("")}`;
+}
+
+// Replaces the user's recovery codes and returns the new ones; they are only ever shown this once
+export async function regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, randomRecoveryCode);
+    await storage.replaceRecoveryCodes(userId, codes.map((code) => hashToken(normalizeRecoveryCode(code))));
+    return codes;
+}
+
+// Time step of a valid code from the user's (possibly not yet confirmed) authenticator, or null
+export function matchTotpCode(user, code) {
+    if (!user.totpSecretEncrypted) {
+        return null;
+    }
+    return findTotpCounter(decrypt(user.totpSecretEncrypted, "totp"), code);
+}
+
+// Checks and uses up an authenticator code or a recovery code for an enrolled user
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+        return Boolean(await storage.consumeRecoveryCode(user.id, hashToken(normalizeRecoveryCode(recoveryCode))));
+    }
+    const counter = matchTotpCode(user, code);
+    if (counter === null) {
+        return false;
+    }
+    return Boolean(await storage.useTotpCounter(user.id, counter));
+}
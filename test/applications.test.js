@@ -0,0 +1,236 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, waitFor, applicationInput } from "./helpers.js";
+
+let api;
+let applicant;
+let otherApplicant;
+let officer;
+let finance;
+before(async () => {
+    api = await startServer();
+    applicant = await api.createUser({ email: "applicant@example.com", fullName: "Ada Applicant" });
+    otherApplicant = await api.createUser({ email: "other@example.com", fullName: "Otto Other" });
+    officer = await api.createUser({ email: "officer@example.com", fullName: "Olive Officer", role: "program_officer" });
+    finance = await api.createUser({ email: "finance@example.com", fullName: "Fin Finance", role: "finance" });
+});
+after(async () => {
+    await api.close();
+});
+
+async function submitApplication(user = applicant, overrides = {}) {
+    const res = await api.request("POST", "/api/applications", { token: user.token, body: applicationInput(overrides) });
+    assert.equal(res.status, 201);
+    return res.body;
+}
+
+async function setStatus(id, status, body = {}) {
+    return api.request("PATCH", `/api/applications/${id}/status`, { token: officer.token, body: { status, ...body } });
+}
+
+async function approvedApplication() {
+    const application = await submitApplication();
+    assert.equal((await setStatus(application.id, "under_review")).status, 200);
+    assert.equal((await setStatus(application.id, "approved", { disbursementAmount: 8000 })).status, 200);
+    return application;
+}
+
+test("applications take their owner and contact details from the token", async () => {
+    const application = await submitApplication(applicant, { userId: otherApplicant.user.id });
+    assert.equal(application.userId, applicant.user.id);
+    assert.equal(application.fullName, "Ada Applicant");
+    assert.equal(application.email, "applicant@example.com");
+    assert.equal(application.status, "pending");
+    assert.ok(application.submittedAt);
+
+    const mine = await api.request("GET", "/api/me/applications", { token: applicant.token });
+    assert.ok(mine.body.some((row) => row.id === application.id));
+    const theirs = await api.request("GET", "/api/me/applications", { token: otherApplicant.token });
+    assert.ok(!theirs.body.some((row) => row.id === application.id));
+    const hidden = await api.request("GET", `/api/me/applications/${application.id}`, { token: otherApplicant.token });
+    assert.equal(hidden.status, 404);
+
+    await waitFor(() => api.emails.find((message) => message.to === "applicant@example.com" && message.subject === "We received your grant application"));
+});
+
+test("submitting needs a signed-in applicant with a verified email", async () => {
+    const anonymous = await api.request("POST", "/api/applications", { body: applicationInput() });
+    assert.equal(anonymous.status, 401);
+    const unverified = await api.createUser({ email: "unverified@example.com", emailVerified: false });
+    const res = await api.request("POST", "/api/applications", { token: unverified.token, body: applicationInput() });
+    assert.equal(res.status, 403);
+});
+
+test("applications are validated against the program", async () => {
+    const incomplete = await api.request("POST", "/api/applications", { token: applicant.token, body: { grantType: "education" } });
+    assert.equal(incomplete.status, 400);
+    assert.ok(Array.isArray(incomplete.body.errors) && incomplete.body.errors.length > 0);
+    assert.ok(incomplete.body.errors.some((issue) => issue.path.includes("projectTitle")));
+    const tooLarge = await api.request("POST", "/api/applications", { token: applicant.token, body: applicationInput({ requestedAmount: 1000000 }) });
+    assert.equal(tooLarge.status, 400);
+    const unknown = await api.request("POST", "/api/applications", { token: applicant.token, body: applicationInput({ grantType: "space-travel" }) });
+    assert.equal(unknown.status, 400);
+    for (const requestedAmount of [-500, 0, 1500.5]) {
+        const invalid = await api.request("POST", "/api/applications", { token: applicant.token, body: applicationInput({ requestedAmount }) });
+        assert.equal(invalid.status, 400);
+        assert.ok(invalid.body.errors.some((issue) => issue.path.includes("requestedAmount")));
+    }
+});
+
+test("drafts stay private until submitted", async () => {
+    const draft = await api.request("POST", "/api/applications/drafts", { token: applicant.token, body: { projectTitle: "Half finished" } });
+    assert.equal(draft.status, 201);
+    assert.equal(draft.body.status, "draft");
+
+    const queue = await api.request("GET", "/api/applications", { token: officer.token });
+    assert.ok(!queue.body.applications.some((row) => row.id === draft.body.id));
+    const incomplete = await api.request("POST", `/api/applications/${draft.body.id}/submit`, { token: applicant.token });
+    assert.equal(incomplete.status, 400);
+    assert.ok(Array.isArray(incomplete.body.errors) && incomplete.body.errors.length > 0);
+    assert.ok(incomplete.body.errors.some((issue) => issue.path.includes("requestedAmount")));
+
+    const fractional = await api.request("PATCH", `/api/applications/${draft.body.id}`, { token: applicant.token, body: { requestedAmount: 1500.5 } });
+    assert.equal(fractional.status, 400);
+    const edited = await api.request("PATCH", `/api/applications/${draft.body.id}`, { token: applicant.token, body: applicationInput() });
+    assert.equal(edited.status, 200);
+    const notOwner = await api.request("POST", `/api/applications/${draft.body.id}/submit`, { token: otherApplicant.token });
+    assert.equal(notOwner.status, 403);
+    const submitted = await api.request("POST", `/api/applications/${draft.body.id}/submit`, { token: applicant.token });
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.status, "pending");
+});
+
+test("staff move applications through the allowed statuses", async () => {
+    const application = await submitApplication();
+    const skipped = await setStatus(application.id, "approved");
+    assert.equal(skipped.status, 409);
+    assert.deepEqual(skipped.body.allowedStatuses, ["under_review", "rejected"]);
+
+    const reviewing = await setStatus(application.id, "under_review", { adminNotes: "Looks promising" });
+    assert.equal(reviewing.status, 200);
+    assert.equal(reviewing.body.adminNotes, "Looks promising");
+    const approved = await setStatus(application.id, "approved", { disbursementAmount: 9000 });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.disbursementAmount, 9000);
+    // Decisions are final
+    assert.equal((await setStatus(application.id, "rejected")).status, 409);
+
+    const history = await api.request("GET", `/api/applications/${application.id}/history`, { token: applicant.token });
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.map((entry) => entry.toStatus), ["pending", "under_review", "approved"]);
+    assert.equal(history.body[1].changedByName, "Olive Officer");
+
+    await waitFor(async () => {
+        const notifications = await api.request("GET", "/api/notifications", { token: applicant.token });
+        return notifications.body.notifications.some((notification) => notification.type === "status_changed");
+    });
+});
+
+test("approval needs a positive whole disbursement amount", async () => {
+    const application = await submitApplication();
+    assert.equal((await setStatus(application.id, "under_review")).status, 200);
+    for (const disbursementAmount of [-500, 0, 99.5]) {
+        assert.equal((await setStatus(application.id, "approved", { disbursementAmount })).status, 400);
+    }
+});
+
+test("applicants cannot change statuses", async () => {
+    const application = await submitApplication();
+    const res = await api.request("PATCH", `/api/applications/${application.id}/status`, {
+        token: applicant.token,
+        body: { status: "under_review" },
+    });
+    assert.equal(res.status, 403);
+    const invalid = await setStatus(application.id, "archived");
+    assert.equal(invalid.status, 400);
+    const missing = await setStatus("00000000-0000-0000-0000-000000000000", "under_review");
+    assert.equal(missing.status, 404);
+});
+
+test("payment methods can only be chosen for approved applications", async () => {
+    const pending = await submitApplication();
+    const early = await api.request("PATCH", `/api/applications/${pending.id}/payment-method`, {
+        token: applicant.token,
+        body: { paymentMethod: "cheque" },
+    });
+    assert.equal(early.status, 400);
+
+    const application = await approvedApplication();
+    const invalid = await api.request("PATCH", `/api/applications/${application.id}/payment-method`, {
+        token: applicant.token,
+        body: { paymentMethod: "bitcoin" },
+    });
+    assert.equal(invalid.status, 400);
+    const res = await api.request("PATCH", `/api/applications/${application.id}/payment-method`, {
+        token: applicant.token,
+        body: { paymentMethod: "bank_transfer" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.paymentMethod, "bank_transfer");
+});
+
+test("only the owner or finance staff can set the payment method", async () => {
+    const application = await approvedApplication();
+    const stranger = await api.request("PATCH", `/api/applications/${application.id}/payment-method`, {
+        token: otherApplicant.token,
+        body: { paymentMethod: "cheque" },
+    });
+    assert.equal(stranger.status, 403);
+    const byFinance = await api.request("PATCH", `/api/applications/${application.id}/payment-method`, {
+        token: finance.token,
+        body: { paymentMethod: "cheque" },
+    });
+    assert.equal(byFinance.status, 200);
+    assert.equal(byFinance.body.paymentMethod, "cheque");
+});
+
+test("the staff list can be filtered and paged", async () => {
+    await submitApplication(otherApplicant, { projectTitle: "Robotics club", requestedAmount: 20000 });
+    const res = await api.request("GET", "/api/applications?q=robotics&minAmount=15000", { token: officer.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.applications[0].projectTitle, "Robotics club");
+
+    const page = await api.request("GET", "/api/applications?limit=2&sort=requestedAmount&order=asc", { token: officer.token });
+    assert.equal(page.body.applications.length, 2);
+    assert.ok(page.body.total > 2);
+    assert.ok(page.body.applications[0].requestedAmount <= page.body.applications[1].requestedAmount);
+    const forbidden = await api.request("GET", "/api/applications", { token: applicant.token });
+    assert.equal(forbidden.status, 403);
+});
+
+async function importCsv(user, csv, query = "") {
+    const form = new FormData();
+    form.append("file", new Blob([csv], { type: "text/csv" }), "applications.csv");
+    const res = await fetch(`${api.baseUrl}/api/applications/import${query}`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${user.token}` },
+        body: form,
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+test("imports report invalid amounts per row instead of failing", async () => {
+    const admin = await api.createUser({ email: "importer@example.com", role: "admin" });
+    const header = "fullName,email,phoneNumber,address,projectTitle,projectDescription,grantType,requestedAmount,status,disbursementAmount";
+    const row = (requestedAmount, disbursementAmount = "") =>
+        `Paula Paper,paper@example.com,+1 555 010 0000,2 Mill Road,Library roof,Repairing the village library roof,education,${requestedAmount},approved,${disbursementAmount}`;
+    const res = await importCsv(admin, [header, row("5000", "5000"), row("1500.5"), row("-200"), row("5000", "-1")].join("\n"));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.validRows, 1);
+    assert.deepEqual(res.body.errors.map((entry) => [entry.row, entry.errors[0].field]), [
+        [3, "requestedAmount"],
+        [4, "requestedAmount"],
+        [5, "disbursementAmount"],
+    ]);
+});
+
+test("CSV exports escape formulas but keep phone numbers as they are", async () => {
+    await submitApplication(applicant, { projectTitle: "=HYPERLINK(\"http://evil.example\")", phoneNumber: "+1 555 020 0000" });
+    const res = await fetch(`${api.baseUrl}/api/applications/export.csv?columns=phoneNumber,projectTitle&q=HYPERLINK`, {
+        headers: { Authorization: `Bearer ${officer.token}` },
+    });
+    assert.equal(res.status, 200);
+    const [, row] = (await res.text()).trim().split("\r\n");
+    assert.equal(row, "+1 555 020 0000,\"'=HYPERLINK(\"\"http://evil.example\"\")\"");
+});
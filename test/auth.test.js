@@ -0,0 +1,135 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, waitFor } from "./helpers.js";
+import { getMailTransport, setMailTransport } from "../src/mail-transports.js";
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(async () => {
+    await api.close();
+});
+
+test("register returns tokens and emails a verification link", async () => {
+    const res = await api.request("POST", "/api/auth/register", {
+        body: { email: "New.Applicant@example.com", password: "secret123", fullName: "New Applicant" },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.email, "new.applicant@example.com");
+    assert.equal(res.body.user.role, "user");
+    assert.equal(res.body.user.emailVerified, false);
+    assert.equal(res.body.user.password, undefined);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+
+    const email = await waitFor(() => api.emails.find((message) => message.to === "new.applicant@example.com"));
+    // EMAIL_VERIFICATION_TTL_HOURS defaults to 24
+    assert.match(email.text, /The link expires in 1 day\./);
+    const token = new URL(email.text.match(/http\S+/)[0]).searchParams.get("token");
+    const verified = await api.request("POST", "/api/auth/verify-email", { body: { token } });
+    assert.equal(verified.status, 200);
+    assert.equal((await api.storage.getUserByEmail("new.applicant@example.com")).emailVerified, true);
+    // Tokens are single use
+    const reused = await api.request("POST", "/api/auth/verify-email", { body: { token } });
+    assert.equal(reused.status, 400);
+});
+
+test("register ignores a role in the body and rejects duplicate emails", async () => {
+    const body = { email: "sneaky@example.com", password: "secret123", fullName: "Sneaky", role: "super_admin" };
+    const first = await api.request("POST", "/api/auth/register", { body });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.user.role, "user");
+    const second = await api.request("POST", "/api/auth/register", { body });
+    assert.equal(second.status, 400);
+    assert.equal(second.body.message, "Email already registered");
+});
+
+test("register validates its input", async () => {
+    const res = await api.request("POST", "/api/auth/register", { body: { email: "not-an-email", password: "1" } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Invalid input data");
+    assert.ok(Array.isArray(res.body.errors) && res.body.errors.length > 0);
+    assert.ok(res.body.errors.some((issue) => issue.path.includes("fullName")));
+});
+
+test("login accepts the right password only", async () => {
+    await api.createUser({ email: "login@example.com", password: "right-password" });
+    const ok = await api.request("POST", "/api/auth/login", { body: { email: "LOGIN@example.com", password: "right-password" } });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.user.email, "login@example.com");
+    const wrong = await api.request("POST", "/api/auth/login", { body: { email: "login@example.com", password: "wrong-password" } });
+    assert.equal(wrong.status, 401);
+    const unknown = await api.request("POST", "/api/auth/login", { body: { email: "nobody@example.com", password: "whatever" } });
+    assert.equal(unknown.status, 401);
+});
+
+test("repeated failed logins lock the account", async () => {
+    await api.createUser({ email: "locked@example.com", password: "right-password" });
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+        const res = await api.request("POST", "/api/auth/login", { body: { email: "locked@example.com", password: "wrong-password" } });
+        statuses.push(res.status);
+    }
+    assert.deepEqual(statuses, [401, 401, 401, 401, 423]);
+    const res = await api.request("POST", "/api/auth/login", { body: { email: "locked@example.com", password: "right-password" } });
+    assert.equal(res.status, 423);
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+});
+
+test("protected routes need a valid access token", async () => {
+    const { token } = await api.createUser({ email: "me@example.com", fullName: "Me Myself" });
+    const anonymous = await api.request("GET", "/api/me");
+    assert.equal(anonymous.status, 401);
+    const forged = await api.request("GET", "/api/me", { token: "not-a-token" });
+    assert.equal(forged.status, 401);
+    const me = await api.request("GET", "/api/me", { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.fullName, "Me Myself");
+    assert.deepEqual(me.body.permissions, []);
+});
+
+test("refresh tokens rotate and logout revokes them", async () => {
+    const { token, refreshToken } = await api.createUser({ email: "refresh@example.com" });
+    const rotated = await api.request("POST", "/api/auth/refresh", { body: { refreshToken } });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.refreshToken, refreshToken);
+    // Reusing a rotated token is rejected
+    const replayed = await api.request("POST", "/api/auth/refresh", { body: { refreshToken } });
+    assert.equal(replayed.status, 401);
+
+    const { refreshToken: current } = (await api.request("POST", "/api/auth/login", {
+        body: { email: "refresh@example.com", password: "password123" },
+    })).body;
+    const logout = await api.request("POST", "/api/auth/logout", { token, body: { refreshToken: current } });
+    assert.equal(logout.status, 204);
+    const afterLogout = await api.request("POST", "/api/auth/refresh", { body: { refreshToken: current } });
+    assert.equal(afterLogout.status, 401);
+});
+
+test("changing the password revokes existing access tokens", async () => {
+    const { token } = await api.createUser({ email: "change@example.com", password: "old-password" });
+    const res = await api.request("POST", "/api/me/password", {
+        token,
+        body: { currentPassword: "old-password", newPassword: "new-password" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await api.request("GET", "/api/me", { token })).status, 401);
+    assert.equal((await api.request("GET", "/api/me", { token: res.body.token })).status, 200);
+});
+
+test("forgot-password answers the same for unknown emails and failed sends", async () => {
+    await api.createUser({ email: "forgetful@example.com" });
+    const unknown = await api.request("POST", "/api/auth/forgot-password", { body: { email: "nobody@example.com" } });
+    assert.equal(unknown.status, 200);
+
+    const previous = getMailTransport();
+    setMailTransport({ send: async () => { throw new Error("SMTP unavailable"); } });
+    try {
+        const failed = await api.request("POST", "/api/auth/forgot-password", { body: { email: "forgetful@example.com" } });
+        assert.equal(failed.status, 200);
+        assert.deepEqual(failed.body, unknown.body);
+    } finally {
+        setMailTransport(previous);
+    }
+});
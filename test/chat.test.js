@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { startServer, waitFor } from "./helpers.js";
+
+let api;
+let applicant;
+let otherApplicant;
+let officer;
+before(async () => {
+    api = await startServer();
+    applicant = await api.createUser({ email: "chatter@example.com", fullName: "Chad Chatter" });
+    otherApplicant = await api.createUser({ email: "bystander@example.com", fullName: "Bea Bystander" });
+    officer = await api.createUser({ email: "support@example.com", fullName: "Sue Support", role: "program_officer" });
+});
+after(async () => {
+    await api.close();
+});
+
+// Opens a chat socket, authenticates it and collects every message the server sends
+async function connect(token) {
+    const socket = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws`);
+    const received = [];
+    socket.on("message", (data) => received.push(JSON.parse(data.toString())));
+    await new Promise((resolve, reject) => {
+        socket.once("open", resolve);
+        socket.once("error", reject);
+    });
+    socket.send(JSON.stringify({ type: "auth", token }));
+    const next = (predicate) => waitFor(() => {
+        const index = received.findIndex(predicate);
+        return index === -1 ? undefined : received.splice(index, 1)[0];
+    });
+    const authReply = await next((message) => message.type === "history" || message.type === "auth-error");
+    return { socket, authReply, next, send: (payload) => socket.send(JSON.stringify(payload)) };
+}
+
+test("applicant and staff messages reach each other and are stored", async () => {
+    const staffSocket = await connect(officer.token);
+    const applicantSocket = await connect(applicant.token);
+
+    applicantSocket.send({ type: "send", userId: applicant.user.id, message: "Hello, is anyone there?" });
+    const echoed = await applicantSocket.next((message) => message.type === "message");
+    assert.equal(echoed.senderRole, "user");
+    const delivered = await staffSocket.next((message) => message.type === "message");
+    assert.equal(delivered.message, "Hello, is anyone there?");
+    assert.equal(delivered.userId, applicant.user.id);
+
+    staffSocket.send({ type: "send", userId: officer.user.id, targetUserId: applicant.user.id, message: "Yes, how can we help?" });
+    const reply = await applicantSocket.next((message) => message.type === "message");
+    assert.equal(reply.senderRole, "admin");
+    assert.equal(reply.senderId, officer.user.id);
+
+    const stored = await api.request("GET", `/api/chat/${applicant.user.id}/messages`, { token: applicant.token });
+    assert.equal(stored.status, 200);
+    assert.deepEqual(stored.body.messages.map((message) => message.message), ["Hello, is anyone there?", "Yes, how can we help?"]);
+
+    const conversations = await api.request("GET", "/api/chat/conversations", { token: officer.token });
+    assert.equal(conversations.status, 200);
+    assert.equal(conversations.body.conversations[0].userId, applicant.user.id);
+    assert.equal(conversations.body.conversations[0].messageCount, 2);
+
+    staffSocket.socket.close();
+    applicantSocket.socket.close();
+});
+
+test("sockets cannot act for another user", async () => {
+    const rejected = await connect("not-a-token");
+    assert.equal(rejected.authReply.type, "auth-error");
+    if (rejected.socket.readyState !== WebSocket.CLOSED) {
+        await new Promise((resolve) => rejected.socket.once("close", resolve));
+    }
+
+    const applicantSocket = await connect(applicant.token);
+    applicantSocket.send({ type: "send", userId: otherApplicant.user.id, message: "Impersonating" });
+    const error = await applicantSocket.next((message) => message.type === "error");
+    assert.equal(error.message, "User not authenticated");
+    applicantSocket.socket.close();
+});
+
+test("applicants can only read their own conversation", async () => {
+    const res = await api.request("GET", `/api/chat/${applicant.user.id}/messages`, { token: otherApplicant.token });
+    assert.equal(res.status, 403);
+    const conversations = await api.request("GET", "/api/chat/conversations", { token: applicant.token });
+    assert.equal(conversations.status, 403);
+});
+
+test("staff are notified of messages sent while they are offline", async () => {
+    const applicantSocket = await connect(otherApplicant.token);
+    applicantSocket.send({ type: "send", userId: otherApplicant.user.id, message: "Anyone around later?" });
+    await applicantSocket.next((message) => message.type === "message");
+    applicantSocket.socket.close();
+
+    await waitFor(async () => {
+        const notifications = await api.request("GET", "/api/notifications", { token: officer.token });
+        return notifications.body.notifications.some((notification) => notification.type === "chat_message");
+    });
+});
+
+test("staff replies need an existing, active recipient", async () => {
+    const departed = await api.createUser({ email: "departed@example.com" });
+    await api.storage.setUserDeactivated(departed.user.id, true);
+    const staffSocket = await connect(officer.token);
+    for (const targetUserId of ["00000000-0000-0000-0000-000000000000", departed.user.id]) {
+        staffSocket.send({ type: "send", userId: officer.user.id, targetUserId, message: "Hello?" });
+        const error = await staffSocket.next((message) => message.type === "error");
+        assert.equal(error.message, "Recipient not found or deactivated");
+        const stored = await api.storage.getChatMessagesByUser(targetUserId, { limit: 10 });
+        assert.equal(stored.length, 0);
+    }
+    staffSocket.socket.close();
+});
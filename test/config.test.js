@@ -0,0 +1,71 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+import { loadConfig } from "../src/config.js";
+
+const productionSecrets = {
+    NODE_ENV: "production",
+    STORAGE_DRIVER: "memory",
+    JWT_SECRET: "a-long-random-secret-for-production-use-only",
+    BANK_DETAILS_ENCRYPTION_KEY: "ab".repeat(32),
+    TOTP_ENCRYPTION_KEY: "cd".repeat(32),
+    SMTP_HOST: "smtp.example.org",
+};
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(async () => {
+    await api.close();
+});
+
+test("defaults apply and empty values count as unset", () => {
+    const config = loadConfig({ STORAGE_DRIVER: "memory", PORT: "", SMTP_HOST: "" });
+    assert.equal(config.port, 5001);
+    assert.equal(config.auth.accessTokenTtl, "15m");
+    assert.equal(config.mail.transport, "log");
+    assert.equal(config.uploads.maxFileSizeBytes, 10 * 1024 * 1024);
+    assert.ok(config.corsAllowedOrigins.includes("http://localhost:5173"));
+});
+
+test("invalid values stop startup with every problem listed", () => {
+    assert.throws(() => loadConfig({
+        STORAGE_DRIVER: "memory",
+        PORT: "eighty",
+        ACCESS_TOKEN_TTL: "900",
+        CORS_ALLOWED_ORIGINS: "https://app.example.org/login",
+    }), (error) => /PORT/.test(error.message) && /ACCESS_TOKEN_TTL/.test(error.message) && /CORS_ALLOWED_ORIGINS/.test(error.message));
+    assert.throws(() => loadConfig({ STORAGE_DRIVER: "database" }), /DATABASE_URL/);
+    assert.throws(() => loadConfig({ STORAGE_DRIVER: "memory", BANK_DETAILS_ENCRYPTION_KEY: "too-short" }), /BANK_DETAILS_ENCRYPTION_KEY/);
+});
+
+test("production refuses missing and placeholder secrets", () => {
+    assert.throws(() => loadConfig({ NODE_ENV: "production", STORAGE_DRIVER: "memory" }),
+        (error) => ["JWT_SECRET", "BANK_DETAILS_ENCRYPTION_KEY", "TOTP_ENCRYPTION_KEY"].every((name) => error.message.includes(name)));
+    assert.throws(() => loadConfig({ ...productionSecrets, JWT_SECRET: "your_secret_key_here" }), /JWT_SECRET/);
+    assert.throws(() => loadConfig({ ...productionSecrets, CLOUDINARY_API_SECRET: "your_api_secret" }), /CLOUDINARY_API_SECRET/);
+    assert.throws(() => loadConfig({ ...productionSecrets, TOTP_ENCRYPTION_KEY: productionSecrets.BANK_DETAILS_ENCRYPTION_KEY }), /TOTP_ENCRYPTION_KEY: Must differ/);
+    assert.throws(() => loadConfig({ ...productionSecrets, SMTP_HOST: "" }), /SMTP_HOST: Production must deliver email over SMTP/);
+    assert.throws(() => loadConfig({ ...productionSecrets, MAIL_TRANSPORT: "file" }), /MAIL_TRANSPORT: Production must deliver email over SMTP/);
+
+    const config = loadConfig(productionSecrets);
+    assert.equal(config.isProduction, true);
+    assert.equal(config.encryptionKeys.bankDetails.length, 32);
+    assert.equal(config.encryptionKeys.totp.length, 32);
+    assert.deepEqual(config.corsAllowedOrigins, ["https://grant-manager-frontend.vercel.app"]);
+});
+
+test("CORS only answers allowed origins", async () => {
+    const allowed = await fetch(`${api.baseUrl}/healthz`, { headers: { Origin: "http://localhost:5173" } });
+    assert.equal(allowed.headers.get("access-control-allow-origin"), "http://localhost:5173");
+    assert.equal(allowed.headers.get("access-control-allow-credentials"), "true");
+
+    const other = await fetch(`${api.baseUrl}/healthz`, { headers: { Origin: "https://evil.example" } });
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+    const preflight = await fetch(`${api.baseUrl}/api/auth/login`, {
+        method: "OPTIONS",
+        headers: { Origin: "https://evil.example", "Access-Control-Request-Method": "POST" },
+    });
+    assert.equal(preflight.headers.get("access-control-allow-origin"), null);
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { startServer, applicationInput } from "./helpers.js";
+import { shutdown } from "../src/health.js";
+import { config } from "../src/config.js";
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(async () => {
+    await api.close();
+});
+
+test("liveness and readiness report ok while storage answers", async () => {
+    const live = await api.request("GET", "/healthz");
+    assert.equal(live.status, 200);
+    assert.equal(live.body.status, "ok");
+
+    const ready = await api.request("GET", "/readyz");
+    assert.equal(ready.status, 200);
+    assert.deepEqual(ready.body, { status: "ready", checks: { database: "ok", migrations: "ok" } });
+});
+
+test("readiness fails while storage is unreachable or migrations are pending", async () => {
+    const { ping, getPendingMigrations } = api.storage;
+    try {
+        api.storage.ping = async () => {
+            throw new Error("connect ECONNREFUSED");
+        };
+        const down = await api.request("GET", "/readyz");
+        assert.equal(down.status, 503);
+        assert.equal(down.body.checks.database, "unreachable");
+        const page = await fetch(`${api.baseUrl}/`);
+        assert.match(await page.text(), /Degraded: database unreachable/);
+
+        api.storage.ping = ping;
+        api.storage.getPendingMigrations = async () => ["0002_next"];
+        const pending = await api.request("GET", "/readyz");
+        assert.equal(pending.status, 503);
+        assert.equal(pending.body.checks.migrations, "1 pending");
+    } finally {
+        api.storage.ping = ping;
+        api.storage.getPendingMigrations = getPendingMigrations;
+    }
+});
+
+test("metrics are served in the Prometheus text format", async () => {
+    const applicant = await api.createUser({ email: "metrics@example.com" });
+    assert.equal((await api.request("POST", "/api/applications", { token: applicant.token, body: applicationInput() })).status, 201);
+    const socket = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws`);
+    await new Promise((resolve) => socket.once("open", resolve));
+
+    const res = await fetch(`${api.baseUrl}/metrics`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain/);
+    const text = await res.text();
+    assert.match(text, /# TYPE http_request_duration_seconds histogram/);
+    assert.match(text, /http_request_duration_seconds_count\{method="POST",route="\/api\/applications",status="201"\} 1/);
+    assert.match(text, /grant_application_status_changes_total\{status="pending"\} 1/);
+    assert.match(text, /websocket_connections\{state="open"\} 1/);
+    // Memory storage has no connection pool to report
+    assert.doesNotMatch(text, /db_pool_connections/);
+    socket.close();
+});
+
+test("metrics need the configured token", async () => {
+    config.metricsToken = "scrape-secret";
+    try {
+        assert.equal((await fetch(`${api.baseUrl}/metrics`)).status, 401);
+        const res = await fetch(`${api.baseUrl}/metrics`, { headers: { Authorization: "Bearer scrape-secret" } });
+        assert.equal(res.status, 200);
+    } finally {
+        config.metricsToken = undefined;
+    }
+});
+
+// Shutdown is process-wide, so this runs last against a server of its own
+test("shutdown closes sockets, lets open requests finish and fails readiness", async () => {
+    const draining = await startServer();
+    const socket = new WebSocket(`${draining.baseUrl.replace("http", "ws")}/ws`);
+    await new Promise((resolve) => socket.once("open", resolve));
+    const socketClosed = new Promise((resolve) => socket.once("close", resolve));
+
+    let finishRequest;
+    draining.app.get("/slow", (req, res) => {
+        finishRequest = () => res.json({ done: true });
+    });
+    const slow = draining.request("GET", "/slow");
+    while (!finishRequest) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    const stopped = shutdown(draining.server, { timeoutMs: 2000 });
+    assert.equal(await socketClosed, 1001);
+    const ready = await api.request("GET", "/readyz");
+    assert.equal(ready.status, 503);
+    assert.equal(ready.body.checks.shutdown, "in progress");
+
+    finishRequest();
+    assert.deepEqual((await slow).body, { done: true });
+    await stopped;
+    assert.equal(draining.server.listening, false);
+});
@@ -0,0 +1,88 @@
+// Shared setup for the HTTP tests: each test file starts the API on a random local port against its
+// own MemoryStorage, with outgoing email kept in memory. Nothing needs a database or the network.
+import express from "express";
+import bcrypt from "bcryptjs";
+
+// Must be set before storage.js is first imported, so the Postgres module is never loaded
+process.env.STORAGE_DRIVER = "memory";
+// Keeps test output readable; tests that check log lines raise the level themselves
+process.env.LOG_LEVEL = "silent";
+
+const { registerRoutes } = await import("../src/routes.js");
+const { MemoryStorage } = await import("../src/memory-storage.js");
+const { setMailTransport } = await import("../src/mail-transports.js");
+const { requestLogger } = await import("../src/logger.js");
+const { httpMetrics } = await import("../src/metrics.js");
+
+export async function startServer() {
+    const storage = new MemoryStorage();
+    await storage.seedData();
+    const emails = [];
+    setMailTransport({ send: async (message) => { emails.push(message); } });
+
+    const app = express();
+    app.use(requestLogger());
+    app.use(httpMetrics());
+    app.use(express.json());
+    const server = await registerRoutes(app, { storage });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, path, { token, body } = {}) {
+        const headers = {};
+        if (body !== undefined) {
+            headers["Content-Type"] = "application/json";
+        }
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : undefined };
+    }
+
+    // Creates an account directly in storage and signs it in over HTTP
+    async function createUser({ email, password = "password123", fullName = "Test User", role = "user", emailVerified = true }) {
+        const user = await storage.createUser({ email, password: await bcrypt.hash(password, 4), fullName, role, emailVerified });
+        const login = await request("POST", "/api/auth/login", { body: { email, password } });
+        return { user, token: login.body.token, refreshToken: login.body.refreshToken };
+    }
+
+    async function close() {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    }
+
+    return { app, server, storage, emails, baseUrl, request, createUser, close };
+}
+
+// Polls until check() returns a truthy value; for work the API finishes after responding, like sending email
+export async function waitFor(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error("Timed out waiting for condition");
+}
+
+// A complete application for the seeded "education" program (1,000 to 25,000); name and email come
+// from the applicant's profile
+export function applicationInput(overrides = {}) {
+    return {
+        phoneNumber: "+1 555 000 0000",
+        address: "1 Test Street, Springfield",
+        projectTitle: "After-school tutoring",
+        projectDescription: "Free tutoring for children in the neighborhood after school hours.",
+        grantType: "education",
+        requestedAmount: 10000,
+        ...overrides,
+    };
+}
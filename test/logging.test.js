@@ -0,0 +1,99 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, applicationInput } from "./helpers.js";
+import { redact, setLogLevel } from "../src/logger.js";
+import { getMailTransport, setMailTransport } from "../src/mail-transports.js";
+import { config } from "../src/config.js";
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(async () => {
+    await api.close();
+});
+
+// Runs fn with logging switched on and returns the JSON lines written meanwhile
+async function captureLogs(fn) {
+    const lines = [];
+    const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+    for (const name of ["stdout", "stderr"]) {
+        process[name].write = (chunk, ...rest) => {
+            if (String(chunk).startsWith("{")) {
+                lines.push(JSON.parse(chunk));
+                return true;
+            }
+            return writes[name].call(process[name], chunk, ...rest);
+        };
+    }
+    setLogLevel("debug");
+    try {
+        await fn();
+    } finally {
+        setLogLevel("silent");
+        process.stdout.write = writes.stdout;
+        process.stderr.write = writes.stderr;
+    }
+    return lines;
+}
+
+test("every response carries a request id, reusing a well-formed incoming one", async () => {
+    const generated = await fetch(`${api.baseUrl}/api/openapi.json`);
+    assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+    const forwarded = await fetch(`${api.baseUrl}/api/openapi.json`, { headers: { "X-Request-Id": "edge-1234" } });
+    assert.equal(forwarded.headers.get("x-request-id"), "edge-1234");
+    const malformed = await fetch(`${api.baseUrl}/api/openapi.json`, { headers: { "X-Request-Id": "bad idé" } });
+    assert.notEqual(malformed.headers.get("x-request-id"), "bad idé");
+});
+
+test("request logs hold no applicant details", async () => {
+    const applicant = await api.createUser({ email: "private@example.com", fullName: "Priya Private" });
+    const lines = await captureLogs(async () => {
+        const res = await api.request("POST", "/api/applications", { token: applicant.token, body: applicationInput() });
+        assert.equal(res.status, 201);
+    });
+    const requestLine = lines.find((line) => line.msg === "Request completed" && line.path === "/api/applications");
+    assert.equal(requestLine.method, "POST");
+    assert.equal(requestLine.status, 201);
+    assert.ok(requestLine.requestId);
+    const output = JSON.stringify(lines);
+    for (const detail of ["private@example.com", "Priya Private", "+1 555 000 0000", "1 Test Street"]) {
+        assert.ok(!output.includes(detail), `${detail} was logged`);
+    }
+});
+
+test("redaction masks sensitive fields at any depth and expands errors", () => {
+    const error = new Error("boom");
+    const entry = redact({
+        userId: "u1",
+        body: { email: "a@example.com", nested: [{ Password: "secret", phoneNumber: "123" }] },
+        err: error,
+    });
+    assert.equal(entry.userId, "u1");
+    assert.equal(entry.body.email, "[REDACTED]");
+    assert.deepEqual(entry.body.nested, [{ Password: "[REDACTED]", phoneNumber: "[REDACTED]" }]);
+    assert.equal(entry.err.message, "boom");
+    assert.match(entry.err.stack, /boom/);
+});
+
+test("the log transport leaves the message text, and its tokens, out of the log", async () => {
+    const previous = getMailTransport();
+    const configured = config.mail.transport;
+    config.mail.transport = "log";
+    setMailTransport(undefined);
+    try {
+        const lines = await captureLogs(() => getMailTransport().send({
+            to: "reader@example.com",
+            subject: "Reset your GrantHub password",
+            text: "http://localhost:5173/reset-password?token=reset-token-1234",
+        }));
+        const line = lines.find((entry) => entry.msg === "Email not sent (log transport)");
+        assert.equal(line.subject, "Reset your GrantHub password");
+        assert.equal(line.email, "[REDACTED]");
+        assert.ok(!JSON.stringify(lines).includes("reset-token-1234"));
+    } finally {
+        config.mail.transport = configured;
+        setMailTransport(previous);
+    }
+});
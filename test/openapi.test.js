@@ -0,0 +1,50 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+import { findUndocumentedRoutes } from "../src/openapi.js";
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(async () => {
+    await api.close();
+});
+
+test("every registered API route is in the spec, and nothing else", async () => {
+    const res = await api.request("GET", "/api/openapi.json");
+    assert.equal(res.status, 200);
+    const { missing, stale } = findUndocumentedRoutes(api.app, res.body);
+    assert.deepEqual(missing, [], "Add these routes to the table in src/openapi.js");
+    assert.deepEqual(stale, [], "These routes in src/openapi.js are no longer registered");
+});
+
+test("request bodies and query parameters come from the zod schemas", async () => {
+    const { body: spec } = await api.request("GET", "/api/openapi.json");
+    assert.equal(spec.openapi, "3.1.0");
+
+    const login = spec.paths["/api/auth/login"].post;
+    assert.equal(login.requestBody.content["application/json"].schema.$ref, "#/components/schemas/Login");
+    assert.deepEqual(spec.components.schemas.Login.required.sort(), ["email", "password"]);
+
+    const status = spec.components.schemas.GrantApplicationStatusUpdate;
+    assert.ok(status.properties.status.enum.includes("approved"));
+    const application = spec.components.schemas.GrantApplicationInput;
+    assert.equal(application.properties.userId, undefined);
+    assert.ok(application.required.includes("requestedAmount"));
+
+    const list = spec.paths["/api/applications"].get;
+    assert.ok(list.parameters.some((parameter) => parameter.in === "query" && parameter.name === "minAmount"));
+    assert.match(list.description, /applications\.read/);
+    assert.deepEqual(list.security, [{ bearerAuth: [] }]);
+
+    const statusUpdate = spec.paths["/api/applications/{id}/status"].patch;
+    assert.deepEqual(statusUpdate.parameters[0], { name: "id", in: "path", required: true, schema: { type: "string" } });
+});
+
+test("the docs page loads the spec", async () => {
+    const res = await fetch(`${api.baseUrl}/api/docs`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/html/);
+    assert.match(await res.text(), /\/api\/openapi\.json/);
+});